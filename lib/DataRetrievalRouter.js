@@ -1,7 +1,10 @@
 'use strict';
 
+const Boom = require('@hapi/boom');
 const Joi = require('joi');
 const Hoek = require('@hapi/hoek');
+const MemoryStore = require('./cache');
+const RoleHierarchy = require('./roles');
 
 const internals = {};
 const schemas = {};
@@ -11,6 +14,18 @@ const defaults = {};
  * Data retriever router object constructor.
  *
  * This object allows to register data retrieval handlers to obtain data form different sources.
+ *
+ * @param options - (optional) A JSON with the following options:
+ *   * parent - Parent DataRetrievalRouter, used when there is no data retriever for a source
+ *   * context - Context object given to the data retrievers
+ *   * memoize - When true, values obtained with get (without a context override) are kept by this object,
+ *     so that each key is only retrieved once. Use it in routers created for a single evaluation. (default: false)
+ *   * roles - RoleHierarchy used to expand the values of its keys (e.g. 'credentials:group') with the inherited roles
+ *   * timeout - Default time, in milliseconds, to wait for the data retrievers (see register). (default: no timeout)
+ *   * onError - Default behavior when a data retriever fails or times out (see register). (default: 'indeterminate')
+ *   * fallback - Default value used when onError is 'fallback'
+ *   * strict - When true, get rejects keys of sources without a data retriever (in this object or its parents), and
+ *     the evaluations fail with the error. Otherwise their value is null. (default: false)
  **/
 exports = module.exports = internals.DataRetrievalRouter = function DataRetrievalRouter(options) {
 
@@ -21,27 +36,86 @@ exports = module.exports = internals.DataRetrievalRouter = function DataRetrieva
     this.retrievers = {};
     this.parent = options.parent;
     this.context = options.context;
+    this.memo = options.memoize ? new Map() : null;
+    this.roleKeys = options.roles ? options.roles.keys.map((key) => internals.keyId(internals.parseKey(key))) : [];
 };
 
 schemas.DataRetrievalRouter_options = Joi.object({
     override: Joi.boolean().optional(),
     parent: Joi.object().extend(internals.DataRetrievalRouter).optional(),
-    context: Joi.object().optional()
+    context: Joi.object().optional(),
+    memoize: Joi.boolean().optional(),
+    roles: Joi.object().instance(RoleHierarchy).optional(),
+    timeout: Joi.number().integer().min(1).optional(),
+    onError: Joi.string().valid('indeterminate', 'reject', 'fallback').optional(),
+    fallback: Joi.any().optional(),
+    strict: Joi.boolean().optional()
 }).unknown(false);
 
 /**
  * Create a child DataRetrievalRouter inheriting the current object, applied for a certain data context
+ *
+ * @param context - (optional) Context object, merged over the context of this object (see getContext)
+ * @param options - (optional) A JSON with the following options:
+ *   * memoize - See DataRetrievalRouter constructor (default: inherited)
+ *   * roles - See DataRetrievalRouter constructor (default: inherited)
  **/
-internals.DataRetrievalRouter.prototype.createChild = function (context) {
+internals.DataRetrievalRouter.prototype.createChild = function (context, options) {
 
-    const options = Hoek.applyToDefaults(this.options, {
+    options = options || {};
+    Joi.assert(options, schemas.DataRetrievalRouter_createChild_options);
+
+    options = Hoek.applyToDefaults(this.options, Object.assign({}, options, {
         parent: this,
         context
-    }, { shallow: ['parent', 'context'] });
+    }), { shallow: ['parent', 'context', 'roles'] });
 
     return new internals.DataRetrievalRouter(options);
 };
 
+schemas.DataRetrievalRouter_createChild_options = Joi.object({
+    memoize: Joi.boolean().optional(),
+    roles: Joi.object().instance(RoleHierarchy).optional()
+}).unknown(false);
+
+/**
+ * Set the context object given to the data retrievers.
+ * Values memoized by this object are discarded.
+ *
+ * @param context - Context object. When null or undefined, the context is removed.
+ **/
+internals.DataRetrievalRouter.prototype.setContext = function (context) {
+
+    Joi.assert(context, schemas.DataRetrievalRouter_setContext_context);
+
+    this.context = context || undefined;
+
+    if (this.memo) {
+        this.memo.clear();
+    }
+
+    return this;
+};
+
+schemas.DataRetrievalRouter_setContext_context = Joi.object().allow(null).optional();
+
+/**
+ * Obtain the context object given to the data retrievers.
+ *
+ * The context of this object is merged over the contexts of its parents (shallow).
+ * When only one of them has a context, it is returned as is.
+ **/
+internals.DataRetrievalRouter.prototype.getContext = function () {
+
+    const parentContext = this.parent ? this.parent.getContext() : undefined;
+
+    if (!parentContext || !this.context) {
+        return this.context || parentContext;
+    }
+
+    return Object.assign({}, parentContext, this.context);
+};
+
 /**
  * Register a data retriever.
  *
@@ -49,6 +123,26 @@ internals.DataRetrievalRouter.prototype.createChild = function (context) {
  * @param retriever - A function which returns data, according to a key. Function signature is (source:string, key:string, context:object) => String
  * @param options - (optional) A JSON with the following options:
  *   * override - When true, overrides existent handler if exists. When false, throws an error when a repeated handler is used. (default: false)
+ *   * memoize - When false, values from this retriever are never kept by memoizing routers. Use it for volatile data. (default: true)
+ *   * cache - (optional) Keep the values from this retriever between evaluations, with the following options:
+ *     * ttl - Time to live of the values, in milliseconds
+ *     * maxSize - Maximum number of values in the default store (default: 1000)
+ *     * negative - When true, null and undefined values are also kept. Can also be their time to live, in milliseconds. (default: false)
+ *     * key - Function with signature (source, key, context) => String, which returns the key of a value in the cache.
+ *       It must include what the value depends on in the context (e.g. context.username + ':' + key for the groups
+ *       of the user), otherwise the value retrieved for a user is given to the others. Use (source, key) => key only
+ *       for values which do not depend on the context.
+ *     * store - Store of the values, with the methods of MemoryStore (default: a new MemoryStore)
+ *   * timeout - Time, in milliseconds, to wait for the data retriever. After it, the data retriever fails with a
+ *     gateway timeout error. (default: timeout option of the router)
+ *   * onError - Behavior when the data retriever fails or times out (default: onError option of the router):
+ *     * 'indeterminate' - get rejects, and the decision of the evaluations is INDETERMINATE
+ *     * 'reject' - get rejects, and the evaluations fail with the error
+ *     * 'fallback' - get resolves with the fallback value
+ *   * fallback - Value used when onError is 'fallback' (default: fallback option of the router)
+ *   * batch - When true, the data retriever obtains several keys at once. Its signature is
+ *     (source:string, keys:Array, context:object) => Array (values in the same order of keys) or Object (values by key).
+ *     The keys requested until the next iteration of the event loop are retrieved in a single call. (default: false)
  **/
 internals.DataRetrievalRouter.prototype.register = function (handles, retriever, options) {
 
@@ -56,13 +150,15 @@ internals.DataRetrievalRouter.prototype.register = function (handles, retriever,
     Joi.assert(retriever, schemas.DataRetrievalRouter_register_retriever);
     options = options || {};
     Joi.assert(options, schemas.DataRetrievalRouter_register_options);
-    options = Hoek.applyToDefaults(defaults.DataRetrievalRouter_register_options, options);
+    options = Object.assign({}, defaults.DataRetrievalRouter_register_options, options); // shallow, keeps the cache store and the fallback value
+
+    const cache = options.cache ? internals.createCache(options.cache) : null;
 
     if (handles instanceof Array) {
-        handles.forEach((source) => this._register(source, retriever, options));
+        handles.forEach((source) => this._register(source, retriever, options, cache));
     }
     else {
-        this._register(handles, retriever, options);
+        this._register(handles, retriever, options, cache);
     }
 
     return this;
@@ -74,69 +170,458 @@ schemas.DataRetrievalRouter_register_handles = Joi.alternatives().try(
 );
 schemas.DataRetrievalRouter_register_retriever = Joi.func().minArity(3).maxArity(4);
 schemas.DataRetrievalRouter_register_options = Joi.object({
-    override: Joi.boolean().optional()
+    override: Joi.boolean().optional(),
+    memoize: Joi.boolean().optional(),
+    cache: Joi.object({
+        ttl: Joi.number().integer().min(1).required(),
+        maxSize: Joi.number().integer().min(1).optional(),
+        negative: Joi.alternatives().try(Joi.boolean(), Joi.number().integer().min(1)).optional(),
+        key: Joi.func().required(),
+        store: Joi.object({
+            get: Joi.func().required(),
+            set: Joi.func().required(),
+            delete: Joi.func().required(),
+            clear: Joi.func().required()
+        }).unknown().optional()
+    }).oxor('maxSize', 'store').optional(),
+    timeout: Joi.number().integer().min(1).optional(),
+    onError: Joi.string().valid('indeterminate', 'reject', 'fallback').optional(),
+    fallback: Joi.any().optional(),
+    batch: Joi.boolean().optional()
 }).unknown(false);
 
 defaults.DataRetrievalRouter_register_options = {
-    override: false
+    override: false,
+    memoize: true
+};
+
+/**
+ * Register several data retrievers at once.
+ *
+ * dataRetrieverRouter.registerAll({
+ *     credentials: Retrievers.context('credentials'),
+ *     env: Retrievers.env(),
+ *     time: Retrievers.time()
+ * });
+ *
+ * @param retrievers - A JSON where keys are the sources and values are the data retrievers (see register)
+ * @param options - (optional) Options of each registration (see register)
+ **/
+internals.DataRetrievalRouter.prototype.registerAll = function (retrievers, options) {
+
+    Joi.assert(retrievers, schemas.DataRetrievalRouter_registerAll_retrievers);
+
+    Object.keys(retrievers).forEach((source) => this.register(source, retrievers[source], options));
+
+    return this;
 };
 
-internals.DataRetrievalRouter.prototype._register = function (handles, retriever, options) {
+schemas.DataRetrievalRouter_registerAll_retrievers = Joi.object().pattern(Joi.string().min(1), schemas.DataRetrievalRouter_register_retriever).required();
+
+internals.DataRetrievalRouter.prototype._register = function (handles, retriever, options, cache) {
 
     if (this.retrievers[handles] && !options.override) {
         throw new Error('There is a data retriever already registered for the source: ' + handles);
     }
 
-    this.retrievers[handles] = retriever;
+    this.retrievers[handles] = { retriever, options, cache, batches: new Map() };
+};
+
+internals.createCache = (options) => {
+
+    return {
+        options,
+        store: options.store || new MemoryStore({ maxSize: options.maxSize }),
+        pending: new Map() // Concurrent misses share the same call to the data retriever
+    };
+};
+
+/**
+ * Remove values from the cache of a source (see cache option of register)
+ *
+ * @param source - Source of data (e.g. 'ldap')
+ * @param key - (optional) Key in the cache. When not given, all the values of the source are removed.
+ * @returns Promise
+ **/
+internals.DataRetrievalRouter.prototype.invalidate = function (source, key) {
+
+    return new Promise((resolve) => {
+
+        Joi.assert(source, schemas.DataRetrievalRouter_get_source);
+
+        const registration = this._lookup(source);
+
+        if (!registration || !registration.cache) {
+            return resolve();
+        }
+
+        const store = registration.cache.store;
+
+        resolve(key === undefined ? store.clear(source) : store.delete(source, key));
+    });
+};
+
+/**
+ * Check if there is a data retriever for a source, in this object or its parents
+ *
+ * @param source - Source of data (e.g. 'credentials')
+ **/
+internals.DataRetrievalRouter.prototype.hasSource = function (source) {
+
+    Joi.assert(source, schemas.DataRetrievalRouter_get_source);
+
+    return Boolean(this._lookup(source));
+};
+
+/**
+ * Obtain the registration of the data retriever for a source, from this object or its parents
+ **/
+internals.DataRetrievalRouter.prototype._lookup = function (source) {
+
+    if (this.retrievers[source]) {
+        return this.retrievers[source];
+    }
+
+    return this.parent ? this.parent._lookup(source) : null;
 };
 
 /**
  * Obtain data from a retriever.
  *
+ * Keys have the format 'source:key.path', where:
+ *   * source - Source of data, up to the first ':'. When there is no ':', the source is 'credentials'.
+ *   * key - Key given to the data retriever, up to the first '.'. It may contain ':' (e.g. 'ldap:cn:admins').
+ *   * path - (optional) Path of the value in the object returned by the data retriever (e.g. 'credentials:profile.address.country').
+ * Use a backslash to escape ':' and '.' (e.g. the key 'first.name' is requested with 'credentials:first\\.name').
+ *
  * @param key - Key value from the source (e.g. 'credentials:username')
  * @param context - (optional) Context object. Contains the request object.
  * @returns Promise
  **/
 internals.DataRetrievalRouter.prototype.get = function (key, context) {
 
-    return new Promise((resolve, reject) => {
+    return new Promise((resolve) => {
+
+        const parsed = internals.parseKey(key);
 
-        Joi.assert(key, schemas.DataRetrievalRouter_get_key);
-        let source;
-        let subkey;
+        resolve(this._get(parsed.source, parsed.subkey, context)
+            .then((value) => {
 
-        if (key.indexOf(':') === -1) {
-            source = 'credentials'; // keep it backwards compatible
-            subkey = key;
+                value = parsed.path.length ? Hoek.reach(value, parsed.path) : value;
+
+                if (value !== undefined && value !== null && this.roleKeys.indexOf(internals.keyId(parsed)) !== -1) {
+                    return this.options.roles.expand(value);
+                }
+
+                return value;
+            }));
+    });
+};
+
+/**
+ * Parse a key into source, subkey and path
+ **/
+internals.parseKey = (key) => {
+
+    Joi.assert(key, schemas.DataRetrievalRouter_get_key);
+
+    let source = 'credentials'; // keep it backwards compatible
+    let rest = key;
+    const separator = internals.indexOfUnescaped(key, ':');
+
+    if (separator !== -1) {
+        source = internals.unescape(key.slice(0, separator));
+        rest = key.slice(separator + 1);
+    }
+
+    const segments = internals.splitUnescaped(rest, '.').map(internals.unescape);
+    const subkey = segments.shift();
+
+    Joi.assert(subkey, schemas.DataRetrievalRouter_get_key);
+    Joi.assert(source, schemas.DataRetrievalRouter_get_source);
+    segments.forEach((segment) => Joi.assert(segment, schemas.DataRetrievalRouter_get_key));
+
+    return { source, key: rest, subkey, path: segments };
+};
+
+internals.keyId = (parsed) => JSON.stringify([parsed.source, parsed.subkey].concat(parsed.path));
+
+internals.indexOfUnescaped = (string, char) => {
+
+    for (let i = 0; i < string.length; ++i) {
+        if (string[i] === '\\') {
+            ++i;
         }
-        else {
-            const split_key = key.split(':');
-            source = split_key[0];
-            subkey = split_key[1];
+        else if (string[i] === char) {
+            return i;
         }
+    }
 
-        Joi.assert(subkey, schemas.DataRetrievalRouter_get_key);
-        Joi.assert(source, schemas.DataRetrievalRouter_get_source);
+    return -1;
+};
+
+internals.splitUnescaped = (string, char) => {
 
-        const fn = this.retrievers[source];
+    const parts = [];
+    let index = internals.indexOfUnescaped(string, char);
 
-        if (!fn) {
+    while (index !== -1) {
+        parts.push(string.slice(0, index));
+        string = string.slice(index + 1);
+        index = internals.indexOfUnescaped(string, char);
+    }
+
+    parts.push(string);
+    return parts;
+};
+
+internals.unescape = (string) => string.replace(/\\(.)/g, '$1');
+
+/**
+ * Obtain the value of a subkey from the source, using the memoized value if available
+ **/
+internals.DataRetrievalRouter.prototype._get = function (source, subkey, context, requester) {
 
-            if (!this.parent) {
+    requester = requester || this;
 
-                return resolve(null);
+    if (!this.memo || context || requester !== this) {
+        return this._retrieve(source, subkey, context, requester);
+    }
+
+    const registration = this._lookup(source);
+
+    if (registration && !registration.options.memoize) {
+        return this._retrieve(source, subkey, context, requester);
+    }
+
+    // Concurrent and repeated requests share the same promise
+    const id = JSON.stringify([source, subkey]);
+
+    if (!this.memo.has(id)) {
+        const promise = this._retrieve(source, subkey, context, requester);
+        this.memo.set(id, promise);
+        promise.catch(() => this.memo.delete(id));
+    }
+
+    return this.memo.get(id);
+};
+
+/**
+ * Obtain the value of a subkey from the data retriever of the source, in this object or its parents
+ *
+ * @param requester - DataRetrievalRouter where get was called, which has the context (when not given)
+ **/
+internals.DataRetrievalRouter.prototype._retrieve = function (source, subkey, context, requester) {
+
+    const registration = this.retrievers[source];
+
+    if (!registration) {
+
+        if (!this.parent) {
+
+            if (requester.options.strict) {
+                const err = Boom.badImplementation('RBAC configuration error: unknown data source ' + source);
+                internals.fatal.add(err);
+                return Promise.reject(err);
             }
 
-            return this.parent.get(key, context || this.context)
-                .then((result) => resolve(result))
-                .catch((err) => reject(err));
+            return Promise.resolve(null);
+        }
+
+        return this.parent._get(source, subkey, context, requester);
+    }
+
+    // Keys are batched by the given context or by the router which has the context
+    const batch = context || requester;
+    context = context || requester.getContext();
+
+    const option = (name) => (Object.prototype.hasOwnProperty.call(registration.options, name) ? registration.options[name] : this.options[name]);
+    const timeout = option('timeout');
+    const onError = option('onError') || 'indeterminate';
+
+    let promise = registration.cache ?
+        internals.cached(registration, source, subkey, context, batch) :
+        internals.fetch(registration, source, subkey, context, batch);
+
+    if (timeout) {
+        promise = internals.timeout(promise, timeout, source);
+    }
+
+    return promise.catch((err) => {
+
+        if (onError === 'fallback') {
+            return option('fallback');
         }
 
+        if (onError === 'reject') {
+            err = err instanceof Error ? err : new Error(String(err));
+            internals.fatal.add(err);
+        }
+
+        throw err;
+    });
+};
+
+/**
+ * Reject when a promise is not settled in time
+ **/
+internals.timeout = (promise, timeout, source) => {
+
+    return new Promise((resolve, reject) => {
+
+        const timer = setTimeout(() => reject(Boom.gatewayTimeout('RBAC data retriever timeout: ' + source)), timeout);
+
+        promise.then((value) => {
+
+            clearTimeout(timer);
+            resolve(value);
+        }, (err) => {
+
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+};
+
+/**
+ * Errors of data retrievers with onError 'reject', which should fail the evaluations
+ **/
+internals.fatal = new WeakSet();
+
+/**
+ * Check if an error from get should fail the evaluations (see onError option of register, and strict option)
+ **/
+internals.DataRetrievalRouter.isFatal = (err) => internals.fatal.has(err);
+
+/**
+ * Parse a key (e.g. 'credentials:user.name'), throwing an error if it is not valid
+ *
+ * @returns { source, key, subkey, path }, e.g. { source: 'credentials', key: 'user.name', subkey: 'user', path: ['name'] }
+ **/
+internals.DataRetrievalRouter.parseKey = (key) => internals.parseKey(key);
+
+/**
+ * Obtain a value from the cache of the registration, or from the data retriever (storing it in the cache)
+ **/
+internals.cached = (registration, source, subkey, context, batch) => {
+
+    const cache = registration.cache;
+    const options = cache.options;
+
+    return new Promise((resolve) => resolve(options.key(source, subkey, context)))
+        .then((key) => {
+
+            const id = JSON.stringify([source, key]);
+
+            if (cache.pending.has(id)) {
+                return cache.pending.get(id);
+            }
+
+            const promise = Promise.resolve(cache.store.get(source, key))
+                .then((entry) => {
+
+                    if (entry) {
+                        return entry.value;
+                    }
+
+                    return internals.fetch(registration, source, subkey, context, batch)
+                        .then((value) => {
+
+                            const ttl = value === null || value === undefined ?
+                                (options.negative === true ? options.ttl : options.negative) :
+                                options.ttl;
+
+                            if (!ttl) {
+                                return value;
+                            }
+
+                            return Promise.resolve(cache.store.set(source, key, value, ttl)).then(() => value);
+                        });
+                });
+
+            cache.pending.set(id, promise);
+
+            const done = () => cache.pending.delete(id);
+            promise.then(done, done);
+
+            return promise;
+        });
+};
+
+/**
+ * Obtain a value from the data retriever. Keys of batch data retrievers are collected until the next
+ * iteration of the event loop, and retrieved in a single call.
+ **/
+internals.fetch = (registration, source, subkey, context, batch) => {
+
+    if (!registration.options.batch) {
+        return internals.call(registration.retriever, source, subkey, context);
+    }
+
+    let keys = registration.batches.get(batch);
+
+    if (!keys) {
+        keys = new Map();
+        registration.batches.set(batch, keys);
+
+        setImmediate(() => {
+
+            registration.batches.delete(batch);
+            internals.flush(registration, source, keys, context);
+        });
+    }
+
+    if (!keys.has(subkey)) {
+        const deferred = {};
+        deferred.promise = new Promise((resolve, reject) => {
+
+            deferred.resolve = resolve;
+            deferred.reject = reject;
+        });
+
+        keys.set(subkey, deferred);
+    }
+
+    return keys.get(subkey).promise;
+};
+
+/**
+ * Retrieve the collected keys of a batch data retriever
+ **/
+internals.flush = (registration, source, keys, context) => {
+
+    const subkeys = Array.from(keys.keys());
+
+    internals.call(registration.retriever, source, subkeys, context)
+        .then((values) => {
+
+            if (!values || typeof values !== 'object' || (Array.isArray(values) && values.length !== subkeys.length)) {
+                throw Boom.badImplementation('RBAC data retriever error: invalid batch result from source ' + source);
+            }
+
+            subkeys.forEach((subkey, index) => {
+
+                keys.get(subkey).resolve(Array.isArray(values) ? values[index] : values[subkey]);
+            });
+        })
+        .catch((err) => {
+
+            keys.forEach((deferred) => deferred.reject(err));
+        });
+};
+
+/**
+ * Call a data retriever, with or without callback
+ **/
+internals.call = (fn, source, subkey, context) => {
+
+    return new Promise((resolve, reject) => {
+
         if (fn.length > 3) {
 
             // has callback
             try {
-                return fn(source, subkey, context || this.context, (err, value) => {
+                return fn(source, subkey, context, (err, value) => {
 
                     if (err) {
                         return reject(err);
@@ -152,7 +637,7 @@ internals.DataRetrievalRouter.prototype.get = function (key, context) {
         let value;
 
         try {
-            value = fn(source, subkey, context || this.context);
+            value = fn(source, subkey, context);
         } catch (e) {
             return reject(e);
         }
@@ -0,0 +1,94 @@
+'use strict';
+
+const Joi = require('joi');
+
+const internals = {};
+const schemas = {};
+
+/**
+ * In-memory cache store object constructor, used by default by the cache option of DataRetrievalRouter.register.
+ * The least recently used values are removed when the store is full.
+ *
+ * Other stores (e.g. shared by several processes) can be used, with the same methods. Each method may return a Promise.
+ *
+ * @param options - (optional) A JSON with the following options:
+ *   * maxSize - Maximum number of values (default: 1000)
+ *   * now - Function which returns the current time in milliseconds, allows to control the clock (e.g. in tests). (default: Date.now)
+ **/
+exports = module.exports = internals.MemoryStore = function MemoryStore(options) {
+
+    options = options || {};
+    Joi.assert(options, schemas.MemoryStore_options);
+
+    this.maxSize = options.maxSize || 1000;
+    this.now = options.now || Date.now;
+    this.entries = new Map();
+};
+
+schemas.MemoryStore_options = Joi.object({
+    maxSize: Joi.number().integer().min(1).optional(),
+    now: Joi.func().optional()
+}).unknown(false);
+
+internals.id = (source, key) => JSON.stringify([source, key]);
+
+/**
+ * Obtain a value
+ *
+ * @returns { value } when the value is stored and not expired, otherwise undefined
+ **/
+internals.MemoryStore.prototype.get = function (source, key) {
+
+    const id = internals.id(source, key);
+    const entry = this.entries.get(id);
+
+    if (!entry) {
+        return undefined;
+    }
+
+    this.entries.delete(id);
+
+    if (entry.expires <= this.now()) {
+        return undefined;
+    }
+
+    this.entries.set(id, entry); // most recently used
+    return { value: entry.value };
+};
+
+/**
+ * Store a value
+ *
+ * @param ttl - Time to live, in milliseconds
+ **/
+internals.MemoryStore.prototype.set = function (source, key, value, ttl) {
+
+    const id = internals.id(source, key);
+
+    this.entries.delete(id);
+    this.entries.set(id, { source, value, expires: this.now() + ttl });
+
+    if (this.entries.size > this.maxSize) {
+        this.entries.delete(this.entries.keys().next().value); // least recently used
+    }
+};
+
+/**
+ * Remove a value
+ **/
+internals.MemoryStore.prototype.delete = function (source, key) {
+
+    this.entries.delete(internals.id(source, key));
+};
+
+/**
+ * Remove all the values of a source
+ **/
+internals.MemoryStore.prototype.clear = function (source) {
+
+    for (const [id, entry] of this.entries) {
+        if (entry.source === source) {
+            this.entries.delete(id);
+        }
+    }
+};
@@ -2,19 +2,133 @@
 
 const Async = require('async');
 const Boom = require('@hapi/boom');
+const Hoek = require('@hapi/hoek');
+const Joi = require('joi');
 const DataRetrievalRouter = require('./DataRetrievalRouter');
+const MemoryStore = require('./cache');
+const Operators = require('./operators');
+const Retrievers = require('./retrievers');
+const RoleHierarchy = require('./roles');
 
 const DENY = 0;
 const PERMIT = 1;
-const UNDETERMINED = 3;
+const INDETERMINATE = 2; // An error occurred while retrieving data, so the decision could not be taken
+const UNDETERMINED = 3; // Not applicable: no target applies
+const NOT_APPLICABLE = UNDETERMINED;
 
 const internals = {};
+const schemas = {};
 
 /**
  * Evaluate a single Policy of PolicySet
+ * When no callback is given, a Promise is returned.
  *
+ * @param item - Policy set, policy or rule
+ * @param dataRetriever - DataRetrievalRouter used to obtain the values of the target keys
+ * @param options - (optional) A JSON with the following options:
+ *   * obligations - When true, the result is an object { decision, obligations, advice }, with the obligations and advice
+ *     of the items which contributed to the decision. (default: false)
+ *   * trace - When true, the result is an object { decision, obligations, advice, trace }, where trace describes the evaluation. (default: false)
+ *   * memoize - When true, each key is only retrieved once from dataRetriever during this evaluation. (default: false)
+ *   * context - Context object for this evaluation, merged over the context of dataRetriever. Allows a single
+ *     data retriever router to be shared by concurrent requests.
+ *   * roles - RoleHierarchy used to expand roles with the inherited roles (e.g. an admin also has the roles of an editor)
+ *   * prefetch - When true, all the keys of the item (see analyzePolicy) are requested at once before the evaluation,
+ *     so that batch data retrievers obtain them in a single call. Implies memoize. (default: false)
+ * @param callback - (optional) Function with signature (err, result)
  **/
-internals.evaluatePolicy = (item, dataRetriever, callback) => {
+internals.evaluatePolicy = (item, dataRetriever, options, callback) => {
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    options = options || {};
+
+    if (!callback) {
+        return internals.toPromise(internals.evaluatePolicy, item, dataRetriever, options);
+    }
+
+    try {
+        Joi.assert(options, schemas.evaluatePolicy_options);
+    } catch (e) {
+        return callback(e);
+    }
+
+    if ((options.memoize || options.prefetch || options.context || options.roles) && dataRetriever instanceof DataRetrievalRouter) {
+        const childOptions = {};
+
+        if (options.memoize || options.prefetch) {
+            childOptions.memoize = true;
+        }
+
+        if (options.roles) {
+            childOptions.roles = options.roles;
+        }
+
+        try {
+            dataRetriever = dataRetriever.createChild(options.context || undefined, childOptions);
+        } catch (e) {
+            return callback(e);
+        }
+    }
+
+    if (options.prefetch && dataRetriever instanceof DataRetrievalRouter) {
+        internals.prefetch(item, dataRetriever);
+    }
+
+    const trace = options.trace || options.obligations ? {} : null;
+
+    internals.evaluatePolicyItem(item, dataRetriever, trace, (err, decision) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        if (!trace) {
+            return callback(null, decision);
+        }
+
+        const result = {
+            decision,
+            obligations: trace.obligations,
+            advice: trace.advice
+        };
+
+        if (options.trace) {
+            result.trace = trace;
+        }
+
+        callback(null, result);
+    });
+};
+
+schemas.evaluatePolicy_options = Joi.object({
+    trace: Joi.boolean().optional(),
+    obligations: Joi.boolean().optional(),
+    memoize: Joi.boolean().optional(),
+    context: Joi.object().allow(null).optional(),
+    roles: Joi.object().instance(RoleHierarchy).optional(),
+    prefetch: Joi.boolean().optional()
+}).unknown(false);
+
+/**
+ * Evaluate a policy set, policy or rule, describing the evaluation in trace (if not null):
+ *
+ * {
+ *   type: 'policySet', // or 'policy', 'rule'
+ *   id: 'policy-id', // when defined in the item
+ *   algorithm: 'permit-overrides', // policy sets and policies
+ *   effect: 'permit', // rules
+ *   target: {...}, // see evaluateTargetItem
+ *   children: [...], // traces of the evaluated policies or rules (only the target, for the items not evaluated by only-one-applicable)
+ *   decision: PERMIT,
+ *   obligations: [...], // obligations of this item and of the children which contributed to the decision
+ *   advice: [...]
+ * }
+ **/
+internals.evaluatePolicyItem = (item, dataRetriever, trace, callback, evaluated) => {
 
     if (!item) {
         return callback(Boom.badImplementation('RBAC configuration error: null item'));
@@ -28,49 +142,255 @@ internals.evaluatePolicy = (item, dataRetriever, callback) => {
         return callback(Boom.badImplementation('RBAC configuration error: invalid data retriever'));
     }
 
-    if (!item.apply) {
-        // Default combinatory algorithm
-        item.apply = 'permit-overrides';
+    // The item is not changed, so that policies can be frozen or shared
+    const apply = internals.getCombinator(item.apply);
+
+    if (!apply) {
+        return callback(Boom.badImplementation('RBAC error: combinatory algorithm does not exist: ' + item.apply));
     }
 
-    if (!(item.apply instanceof Function)) {
-        if (!internals.combineAlg[item.apply]) {
-            return callback(Boom.badImplementation('RBAC error: combinatory algorithm does not exist: ' + item.apply));
-        }
+    const children = item.policies || item.rules;
 
-        item.apply = internals.combineAlg[item.apply];
+    if (trace) {
+        trace.type = item.policies ? 'policySet' : (item.rules ? 'policy' : 'rule');
+        trace.target = trace.target || {};
+        internals.traceItem(item, trace);
+
+        if (children) {
+            trace.algorithm = Object.keys(internals.combineAlg).find((name) => internals.combineAlg[name] === apply) || 'custom';
+            trace.children = [];
+        }
     }
 
-    internals.evaluateTarget(item.target, dataRetriever, (err, applies) => {
+    const done = internals.traceDecision(item, trace, callback);
+
+    internals.evaluateItemTarget(item, dataRetriever, trace, evaluated, (err, applies) => {
 
         if (err) {
-            return callback(err);
+            return done(err);
+        }
+
+        if (applies === INDETERMINATE) {
+            return done(null, INDETERMINATE);
         }
 
         if (!applies) {
-            return callback(null, UNDETERMINED);
+            return done(null, UNDETERMINED);
         }
 
         // Policy set
         if (item.policies) {
 
-            return item.apply(item.policies, dataRetriever, internals.evaluatePolicy, callback);
+            const evaluate = internals.traceChildren(internals.evaluatePolicyItem, item.policies, trace);
+            return internals.combine(apply, item.policies, dataRetriever, evaluate, evaluate.settle(done));
         }
 
         // Policy
         if (item.rules) {
 
-            return item.apply(item.rules, dataRetriever, internals.evaluateRule, callback);
+            const evaluate = internals.traceChildren(internals.evaluateRuleItem, item.rules, trace);
+            return internals.combine(apply, item.rules, dataRetriever, evaluate, evaluate.settle(done));
         }
 
         // Rule
-        internals.evaluateRule(item, dataRetriever, callback);
+        internals.evaluateRuleItem(item, dataRetriever, trace, done);
+    });
+};
+
+/**
+ * Resolve the combinatory algorithm function of an item from its apply field (name or function).
+ * Returns null if there is no algorithm with that name.
+ **/
+internals.getCombinator = (apply) => {
+
+    if (apply instanceof Function) {
+        return apply;
+    }
+
+    // Default combinatory algorithm
+    const name = apply || 'permit-overrides';
+
+    if (!Object.prototype.hasOwnProperty.call(internals.combineAlg, name)) {
+        return null;
+    }
+
+    return internals.combineAlg[name];
+};
+
+/**
+ * Copy the identification of an item to its trace
+ **/
+internals.traceItem = (item, trace) => {
+
+    if (item.id !== undefined) {
+        trace.id = item.id;
+    }
+
+    if (item.effect !== undefined) {
+        trace.effect = item.effect;
+    }
+};
+
+/**
+ * Wrap callback, saving the decision, obligations and advice in trace (if not null)
+ **/
+internals.traceDecision = (item, trace, callback) => {
+
+    if (!trace) {
+        return callback;
+    }
+
+    return (err, decision) => {
+
+        if (!err) {
+            trace.decision = decision;
+            trace.obligations = internals.collect(item, trace, 'obligations');
+            trace.advice = internals.collect(item, trace, 'advice');
+        }
+
+        callback(err, decision);
+    };
+};
+
+/**
+ * Collect the obligations or advice of an item and of its evaluated children with the same decision.
+ *
+ * Obligations and advice can be any value. When defined as an object with fulfillOn ('permit' or 'deny'),
+ * they are only collected when the decision matches:
+ *
+ * {
+ *   obligations: ['audit', { id: 'mask', fields: ['salary'], fulfillOn: 'permit' }],
+ *   advice: [{ id: 'notify-owner', fulfillOn: 'deny' }]
+ * }
+ **/
+internals.collect = (item, trace, kind) => {
+
+    const decision = trace.decision;
+
+    if (decision !== PERMIT && decision !== DENY) {
+        return [];
+    }
+
+    const collected = [].concat(item[kind] || []).filter((entry) => {
+
+        if (!entry || typeof entry !== 'object' || !entry.fulfillOn) {
+            return true;
+        }
+
+        return (entry.fulfillOn === 'permit' ? PERMIT : DENY) === decision;
+    });
+
+    (trace.children || []).forEach((child) => {
+
+        if (child.decision === decision) {
+            collected.push(...child[kind]);
+        }
     });
+
+    return collected;
+};
+
+/**
+ * Create the evaluation function given to a combinatory algorithm.
+ * When tracing, each evaluated item gets its own trace in the children of the parent trace.
+ *
+ * fn.target(item, information, callback) only evaluates the target of an item (e.g. for only-one-applicable).
+ * When tracing, the item gets its trace in the children, with the target. If the item is evaluated afterwards,
+ * the result of its target is reused.
+ *
+ * fn.settle(callback) wraps the callback of the algorithm, so that when tracing, a PERMIT or DENY decision waits for
+ * the items still being evaluated which could result in it (e.g. the permit rules, with permit-overrides, which
+ * decides on the first permit). Otherwise, their obligations and advice would be missing. The other items are not
+ * waited for: their traces are replaced by { index, skipped: true }, so that the trace does not change after the result.
+ **/
+internals.traceChildren = (evaluate, items, trace) => {
+
+    const pending = new Set();
+    let settled = null;
+    const targets = new Map();
+
+    const fn = (item, information, callback) => {
+
+        if (!callback) {
+            return internals.toPromise(fn, item, information);
+        }
+
+        const evaluated = targets.get(item);
+
+        if (!trace) {
+            return evaluate(item, information, null, callback, evaluated);
+        }
+
+        const child = evaluated ? evaluated.trace : { index: items.indexOf(item) };
+
+        if (!evaluated) {
+            trace.children.push(child);
+        }
+
+        const entry = { item, child };
+        pending.add(entry);
+
+        evaluate(item, information, child, (err, result) => {
+
+            pending.delete(entry);
+            callback(err, result);
+
+            if (settled) {
+                settled();
+            }
+        }, evaluated);
+    };
+
+    fn.target = (item, information, callback) => {
+
+        const child = trace ? { index: items.indexOf(item), target: {} } : null;
+
+        if (trace) {
+            trace.children.push(child);
+        }
+
+        internals.evaluateTargetItem(item.target, information, child && child.target, (err, applies) => {
+
+            if (!err) {
+                targets.set(item, { applies, trace: child });
+            }
+
+            callback(err, applies);
+        });
+    };
+
+    fn.settle = (callback) => {
+
+        return (err, result) => {
+
+            const decides = !err && (result === PERMIT || result === DENY);
+
+            for (const entry of pending) {
+                if (!decides || !internals.couldOverride(entry.item, result)) {
+                    pending.delete(entry);
+                    trace.children[trace.children.indexOf(entry.child)] = { index: entry.child.index, skipped: true };
+                }
+            }
+
+            settled = () => {
+
+                if (!pending.size) {
+                    settled = null;
+                    callback(err, result);
+                }
+            };
+
+            settled();
+        };
+    };
+
+    return fn;
 };
 
 const VALID_EFFECTS = ['permit', 'deny'];
 /**
  * Evaluate a single rule.
+ * When no callback is given, a Promise is returned.
  *
  * {
  *    'target': [...],
@@ -79,6 +399,15 @@ const VALID_EFFECTS = ['permit', 'deny'];
  **/
 internals.evaluateRule = (rule, dataRetriever, callback) => {
 
+    if (!callback) {
+        return internals.toPromise(internals.evaluateRule, rule, dataRetriever);
+    }
+
+    internals.evaluateRuleItem(rule, dataRetriever, null, callback);
+};
+
+internals.evaluateRuleItem = (rule, dataRetriever, trace, callback, evaluated) => {
+
     if (!rule) {
         return callback(Boom.badImplementation('RBAC rule is missing'));
     }
@@ -91,29 +420,55 @@ internals.evaluateRule = (rule, dataRetriever, callback) => {
         return callback(Boom.badImplementation('RBAC rule effect is invalid. Use one of', VALID_EFFECTS));
     }
 
-    internals.evaluateTarget(rule.target, dataRetriever, (err, applies) => {
+    if (trace) {
+        trace.type = 'rule';
+        trace.target = trace.target || {};
+        internals.traceItem(rule, trace);
+    }
+
+    const done = internals.traceDecision(rule, trace, callback);
+
+    internals.evaluateItemTarget(rule, dataRetriever, trace, evaluated, (err, applies) => {
 
         if (err) {
-            return callback(err);
+            return done(err);
+        }
+
+        if (applies === INDETERMINATE) {
+            return done(null, INDETERMINATE);
         }
 
         if (!applies) {
-            return callback(null, UNDETERMINED);
+            return done(null, UNDETERMINED);
         }
 
         switch (rule.effect) {
             case 'permit':
             case PERMIT:
-                return callback(null, PERMIT);
+                return done(null, PERMIT);
             case 'deny':
             case DENY:
-                return callback(null, DENY);
+                return done(null, DENY);
             default:
-                return callback(Boom.badImplementation('RBAC rule error: invalid effect ' + rule.effect));
+                return done(Boom.badImplementation('RBAC rule error: invalid effect ' + rule.effect));
         }
     });
 };
 
+/**
+ * Evaluate the target of an item, unless it was already evaluated (see traceChildren)
+ *
+ * @param evaluated - (optional) { applies } with the result of the target, already in trace.target
+ **/
+internals.evaluateItemTarget = (item, dataRetriever, trace, evaluated, callback) => {
+
+    if (evaluated) {
+        return callback(null, evaluated.applies);
+    }
+
+    internals.evaluateTargetItem(item.target, dataRetriever, trace && trace.target, callback);
+};
+
 /**
  * Evaluate a target
  * The objects in the target array are matched with OR condition. The keys in an object are matched with AND condition.
@@ -130,12 +485,59 @@ internals.evaluateRule = (rule, dataRetriever, callback) => {
  * ]
  *
  * This target applies to francisco, if he is in the group admin or writer.
+ * When no callback is given, a Promise is returned.
+ * If the data retriever fails and no element applies, the data retriever error is returned.
  *
  **/
 internals.evaluateTarget = (target, dataRetriever, callback) => {
 
+    if (!callback) {
+        return internals.toPromise(internals.evaluateTarget, target, dataRetriever);
+    }
+
+    internals.evaluateTargetItem(target, dataRetriever, null, (err, applies, error) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        if (applies === INDETERMINATE) {
+            return callback(error);
+        }
+
+        callback(null, applies);
+    });
+};
+
+/**
+ * Evaluate a target, describing the evaluation in trace (if not null):
+ *
+ * {
+ *   applies: true,
+ *   matched: [1], // indexes of the elements that apply
+ *   elements: [
+ *     {
+ *       applies: false,
+ *       keys: {
+ *         'credentials:group': { expected: 'admin', value: ['writer'], applies: false },
+ *         'credentials:premium': { expected: true, error: Error, indeterminate: true, applies: false } // data retriever failed
+ *       }
+ *     },
+ *     ...
+ *   ]
+ * }
+ *
+ * Calls back with (err, applies, error), where applies is true, false or INDETERMINATE.
+ * It is INDETERMINATE when no element applies because the data retriever failed (error) in some element.
+ **/
+internals.evaluateTargetItem = (target, dataRetriever, trace, callback) => {
+
     if (!target) {
         // Applies by default, when no target is defined
+        if (trace) {
+            trace.applies = true;
+        }
+
         return callback(null, true);
     }
 
@@ -151,11 +553,20 @@ internals.evaluateTarget = (target, dataRetriever, callback) => {
 
     const tasks = [];
 
+    if (trace) {
+        trace.elements = [];
+    }
+
     for (const index in target) {
 
         const element = target[index];
+        const elementTrace = trace ? { keys: {} } : null;
+
+        if (trace) {
+            trace.elements.push(elementTrace);
+        }
 
-        tasks.push(internals.evaluateTargetElement(dataRetriever, element));
+        tasks.push(internals.evaluateTargetElement(dataRetriever, element, elementTrace));
     }
 
     Async.parallel(tasks, (err, result) => {
@@ -165,25 +576,60 @@ internals.evaluateTarget = (target, dataRetriever, callback) => {
         }
 
         // At least one should apply (OR)
-        const applicables = result.filter((value) => value);
+        const applies = result.some((value) => value === true);
+        const indeterminate = applies ? undefined : result.find((value) => value instanceof internals.Indeterminate);
 
-        callback(null, applicables.length > 0);
+        if (trace) {
+            trace.applies = applies;
+            trace.matched = [];
+            result.forEach((value, index) => value === true && trace.matched.push(index));
+
+            if (indeterminate) {
+                trace.indeterminate = true;
+            }
+        }
+
+        if (indeterminate) {
+            return callback(null, INDETERMINATE, indeterminate.error);
+        }
+
+        callback(null, applies);
     });
 };
 
-internals.evaluateTargetElement = (dataRetriever, element) => {
+/**
+ * Result of a target element or key which could not be evaluated, because the data retriever failed
+ **/
+internals.Indeterminate = function (error) {
+
+    this.error = error;
+};
+
+internals.evaluateTargetElement = (dataRetriever, element, trace) => {
 
     return (callback) => {
 
-        const promises = Object.keys(element).map((key) => internals.evaluateTargetElementKey(dataRetriever, element, key));
+        const promises = Object.keys(element).map((key) => internals.evaluateTargetElementKey(dataRetriever, element, key, trace));
 
         Promise.all(promises)
             .then((results) => {
 
                 // Should all apply (AND)
-                const nonApplicable = results.filter((value) => !value);
+                let result = false;
+
+                if (results.every((value) => value !== false)) {
+                    result = results.find((value) => value instanceof internals.Indeterminate) || true;
+                }
 
-                callback(null, nonApplicable.length === 0);
+                if (trace) {
+                    trace.applies = result === true;
+
+                    if (result instanceof internals.Indeterminate) {
+                        trace.indeterminate = true;
+                    }
+                }
+
+                callback(null, result);
             })
             .catch((err) => callback(err));
     };
@@ -195,13 +641,36 @@ internals.evaluateTargetElement = (dataRetriever, element) => {
  * then this definition should be replaced by
  * a value from dataRetriever for matching.
  *
+ * Field definitions are also replaced inside arrays and operator objects, e.g.:
+ * { $lt: { field: 'env:limit' } }
+ *
  * @param dataRetriever
  * @param definedValue
  * @returns Promise
  **/
 internals.getTargetValue = (dataRetriever, definedValue) => {
 
-    if (typeof definedValue === 'object') {
+    if (Array.isArray(definedValue)) {
+        return Promise.all(definedValue.map((value) => internals.getTargetValue(dataRetriever, value)));
+    }
+
+    if (Operators.isOperator(definedValue)) {
+        const names = Object.keys(definedValue);
+
+        return Promise.all(names.map((name) => internals.getTargetValue(dataRetriever, definedValue[name])))
+            .then((operands) => {
+
+                const resolved = {};
+                names.forEach((name, index) => {
+
+                    resolved[name] = operands[index];
+                });
+
+                return resolved;
+            });
+    }
+
+    if (definedValue && typeof definedValue === 'object') {
         if (definedValue.field) {
             return dataRetriever.get(definedValue.field);
         }
@@ -210,7 +679,14 @@ internals.getTargetValue = (dataRetriever, definedValue) => {
     return Promise.resolve(definedValue);
 };
 
-internals.evaluateTargetElementKey = (dataRetriever, element, key) => {
+internals.evaluateTargetElementKey = (dataRetriever, element, key, trace) => {
+
+    // Invalid keys are configuration errors, not failing data retrievers
+    try {
+        internals.assertKeys(key, element[key]);
+    } catch (err) {
+        return Promise.reject(err);
+    }
 
     return Promise.all([
         internals.getTargetValue(dataRetriever, element[key]),
@@ -220,117 +696,789 @@ internals.evaluateTargetElementKey = (dataRetriever, element, key) => {
 
             const targetValue = results[0];
             const value = results[1];
-            return internals._targetApplies(targetValue, value);
-        });
-};
-
-/**
- * If target has more than one value, all of them should match
- **/
-internals._targetApplies = (targets, values) => {
+            const applies = Operators.applies(targetValue, value);
 
-    if (!Array.isArray(targets)) {
-        targets = [targets];
-    }
+            if (trace) {
+                trace.keys[key] = { expected: targetValue, value, applies };
+            }
 
-    if (!Array.isArray(values)) {
-        values = [values];
-    }
+            return applies;
+        }, (err) => {
 
-    // Should match all
-    // So: continue looping unless one doesn't
-    for (const index in targets) {
-        const target = targets[index];
-        const matches = values.filter((value) => {
+            if (DataRetrievalRouter.isFatal(err)) {
+                throw err;
+            }
 
-            if (target instanceof RegExp) {
-                return target.test(value);
+            // A failing data retriever does not fail the evaluation: the result is indeterminate
+            if (trace) {
+                trace.keys[key] = { expected: element[key], error: err, indeterminate: true, applies: false };
             }
 
-            return value === target;
+            return new internals.Indeterminate(err);
         });
-
-        if (matches.length === 0) {
-            return false;
-        }
-    }
-
-    // All targets are matched
-    return true;
 };
 
 /**
- * Combinator algorithms:
- *
- *   - permit-overrides - If at least one permit is evaluated, then permit
- *   - deny-overrides - If at least one deny is evaluated, then deny
- *   - only-one-applicable -
- *   - first-applicable - Only evaluate the first applicable rule
+ * Check the key of a target element and the fields referenced in its value, throwing an error if one is not valid
  **/
-internals.combineAlg = {};
-
-internals.combineAlg['permit-overrides'] = (items, information, fn, callback) => {
-
-    if (!items || items.length === 0) {
-        return callback(null, UNDETERMINED);
-    }
+internals.assertKeys = (key, definedValue) => {
 
-    const tasks = [];
+    const assertKey = (value) => {
 
-    for (let i = 0; i < items.length; ++i) {
-        tasks.push(fn.bind(null, items[i], information));
-    }
+        try {
+            DataRetrievalRouter.parseKey(value);
+        } catch (e) {
+            throw Boom.badImplementation('RBAC configuration error: invalid key ' + value + '. ' + e.message);
+        }
+    };
 
-    Async.parallel(tasks, (err, results) => {
+    assertKey(key);
 
-        if (err) {
-            return callback(err);
-        }
+    internals.mapTargetValue(definedValue, (value) => {
 
-        for (let i = 0; i < results.length; ++i) {
-            if (results[i] === PERMIT) {
-                return callback(null, PERMIT);
-            }
+        if (value && typeof value === 'object' && value.field) {
+            assertKey(value.field);
         }
 
-        callback(null, DENY);
+        return value;
     });
 };
 
-internals.combineAlg['deny-overrides'] = (items, information, fn, callback) => {
+/**
+ * Run a combinatory algorithm over items.
+ *
+ * Algorithms with a callback argument (items, information, fn, callback) are called with it.
+ * Otherwise, the algorithm is called with (items, information, fn) and may return the result or a Promise.
+ * In both cases, fn returns a Promise when called without a callback.
+ **/
+internals.combine = (apply, items, information, fn, callback) => {
 
-    if (!items || items.length === 0) {
-        return callback(null, UNDETERMINED);
+    if (apply.length > 3) {
+        return apply(items, information, fn, callback);
     }
 
-    const tasks = [];
+    let result;
 
-    for (let i = 0; i < items.length; ++i) {
-        tasks.push(fn.bind(null, items[i], information));
+    try {
+        result = apply(items, information, fn);
+    } catch (err) {
+        return callback(err);
     }
 
-    Async.parallel(tasks, (err, results) => {
+    Promise.resolve(result).then((value) => callback(null, value), (err) => callback(err));
+};
 
-        if (err) {
-            return callback(err);
-        }
+/**
+ * Call fn with the given arguments and a callback, returning a Promise with its result
+ **/
+internals.toPromise = (fn, ...args) => {
 
-        for (let i = 0; i < results.length; ++i) {
-            if (results[i] === DENY) {
-                return callback(null, DENY);
+    return new Promise((resolve, reject) => {
+
+        fn(...args, (err, result) => {
+
+            if (err) {
+                return reject(err);
             }
-        }
 
-        callback(null, PERMIT);
+            resolve(result);
+        });
+    });
+};
+
+/**
+ * Combinator algorithms:
+ *
+ *   - permit-overrides - If at least one permit is evaluated, then permit
+ *   - deny-overrides - If at least one deny is evaluated, then deny
+ *   - ordered-permit-overrides - Same as permit-overrides, but evaluating items one at a time, in order
+ *   - ordered-deny-overrides - Same as deny-overrides, but evaluating items one at a time, in order
+ *   - only-one-applicable - If exactly one item's target applies, then its result. Indeterminate if more than one applies
+ *   - first-applicable - Evaluate items in order and use the first result that is not undetermined
+ *
+ * The overrides algorithms return as soon as the overriding result is evaluated, ignoring the remaining items
+ * (when tracing or collecting obligations, the items already being evaluated which could result in the same decision
+ * are waited for, see traceChildren).
+ * When no item overrides, they are indeterminate if an item that could override is indeterminate
+ * (e.g. a deny rule, or a policy, for deny-overrides).
+ **/
+internals.combineAlg = {};
+
+/**
+ * Create an algorithm evaluating all items in parallel, which results in decision as soon as one item
+ * results in decision. Otherwise, results in fallback (or INDETERMINATE, see couldOverride).
+ **/
+internals.overrides = (decision, fallback) => {
+
+    return (items, information, fn, callback) => {
+
+        if (!items || items.length === 0) {
+            return callback(null, UNDETERMINED);
+        }
+
+        let pending = items.length;
+        let finished = false;
+        let indeterminate = false;
+
+        const finish = (err, result) => {
+
+            finished = true;
+            callback(err, result);
+        };
+
+        for (let i = 0; i < items.length && !finished; ++i) {
+            const item = items[i];
+
+            fn(item, information, (err, result) => {
+
+                if (finished) {
+                    return;
+                }
+
+                if (err) {
+                    return finish(err);
+                }
+
+                if (result === decision) {
+                    return finish(null, decision);
+                }
+
+                if (result === INDETERMINATE && internals.couldOverride(item, decision)) {
+                    indeterminate = true;
+                }
+
+                if (--pending === 0) {
+                    finish(null, indeterminate ? INDETERMINATE : fallback);
+                }
+            });
+        }
+    };
+};
+
+/**
+ * Create an algorithm evaluating one item at a time, in order, which results in decision when the first
+ * item results in decision. Otherwise, results in fallback (or INDETERMINATE, see couldOverride).
+ **/
+internals.orderedOverrides = (decision, fallback) => {
+
+    return (items, information, fn, callback) => {
+
+        if (!items || items.length === 0) {
+            return callback(null, UNDETERMINED);
+        }
+
+        let indeterminate = false;
+
+        Async.detectSeries(items, (item, next) => {
+
+            fn(item, information, (err, result) => {
+
+                if (err) {
+                    return next(err);
+                }
+
+                if (result === INDETERMINATE && internals.couldOverride(item, decision)) {
+                    indeterminate = true;
+                }
+
+                next(null, result === decision);
+            });
+        }, (err, found) => {
+
+            if (err) {
+                return callback(err);
+            }
+
+            if (found) {
+                return callback(null, decision);
+            }
+
+            callback(null, indeterminate ? INDETERMINATE : fallback);
+        });
+    };
+};
+
+/**
+ * Check if an indeterminate item could have resulted in decision, if its data was available.
+ * Rules can only result in their effect. Policies and policy sets can result in any decision.
+ **/
+internals.couldOverride = (item, decision) => {
+
+    if (item.policies || item.rules || !item.effect) {
+        return true;
+    }
+
+    return (item.effect === 'permit' ? PERMIT : DENY) === decision;
+};
+
+internals.combineAlg['permit-overrides'] = internals.overrides(PERMIT, DENY);
+
+internals.combineAlg['deny-overrides'] = internals.overrides(DENY, PERMIT);
+
+internals.combineAlg['ordered-permit-overrides'] = internals.orderedOverrides(PERMIT, DENY);
+
+internals.combineAlg['ordered-deny-overrides'] = internals.orderedOverrides(DENY, PERMIT);
+
+internals.combineAlg['first-applicable'] = (items, information, fn, callback) => {
+
+    if (!items || items.length === 0) {
+        return callback(null, UNDETERMINED);
+    }
+
+    let decision = UNDETERMINED;
+
+    Async.detectSeries(items, (item, next) => {
+
+        fn(item, information, (err, result) => {
+
+            if (err) {
+                return next(err);
+            }
+
+            decision = result;
+            next(null, result !== UNDETERMINED);
+        });
+    }, (err, found) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, found ? decision : UNDETERMINED);
+    });
+};
+
+internals.combineAlg['only-one-applicable'] = (items, information, fn, callback) => {
+
+    if (!items || items.length === 0) {
+        return callback(null, UNDETERMINED);
+    }
+
+    // The targets are evaluated once: the applicable item is evaluated reusing the result of its target
+    Async.map(items, (item, next) => fn.target(item, information, next), (err, results) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        if (results.some((applies) => applies === INDETERMINATE)) {
+            return callback(null, INDETERMINATE);
+        }
+
+        const applicables = items.filter((item, index) => results[index]);
+
+        if (applicables.length === 0) {
+            return callback(null, UNDETERMINED);
+        }
+
+        if (applicables.length > 1) {
+            // The policy is ambiguous
+            return callback(null, INDETERMINATE);
+        }
+
+        fn(applicables[0], information, callback);
+    });
+};
+
+/**
+ * Validate a policy set, policy or rule, including all of its policies and rules.
+ *
+ * @param item - Policy set, policy or rule
+ * @param options - (optional) A JSON with the following options:
+ *   * dataRetriever - DataRetrievalRouter which must have a data retriever for the source of every key of the
+ *     targets, and of every field referenced in target values (e.g. to detect typos like 'credentails:group')
+ * @returns Array with all the errors found, empty if the item is valid. Each error has the format:
+ *   {
+ *     path: ['policies', 0, 'rules', 1, 'effect'], // path of the invalid value in the item
+ *     message: '"policies[0].rules[1].effect" is required'
+ *   }
+ **/
+internals.validatePolicy = (item, options) => {
+
+    options = options || {};
+    Joi.assert(options, schemas.validatePolicy_options);
+
+    const result = schemas.item.validate(item, { abortEarly: false });
+
+    if (result.error) {
+        return result.error.details.map((detail) => ({ path: detail.path, message: detail.message }));
+    }
+
+    if (options.dataRetriever) {
+        return internals.sourceErrors(item, options.dataRetriever, []);
+    }
+
+    return [];
+};
+
+schemas.validatePolicy_options = Joi.object({
+    dataRetriever: Joi.object().instance(DataRetrievalRouter).optional()
+}).unknown(false);
+
+/**
+ * Obtain the errors of the target keys and fields of an item (and its children) without a data retriever for their source
+ **/
+internals.sourceErrors = (item, dataRetriever, path) => {
+
+    const errors = [];
+    const check = (key, keyPath) => {
+
+        let source;
+
+        try {
+            source = DataRetrievalRouter.parseKey(key).source;
+        } catch (e) {
+            return errors.push({ path: keyPath, message: internals.label(keyPath) + ' is not a valid key' });
+        }
+
+        if (!dataRetriever.hasSource(source)) {
+            errors.push({ path: keyPath, message: internals.label(keyPath) + ' has an unknown data source ' + source });
+        }
+    };
+
+    const checkValue = (value, valuePath) => {
+
+        if (Array.isArray(value)) {
+            return value.forEach((element, index) => checkValue(element, valuePath.concat(index)));
+        }
+
+        if (Operators.isOperator(value)) {
+            return Object.keys(value).forEach((name) => checkValue(value[name], valuePath.concat(name)));
+        }
+
+        if (value && typeof value === 'object' && value.field) {
+            check(value.field, valuePath.concat('field'));
+        }
+    };
+
+    const checkElement = (element, elementPath) => {
+
+        Object.keys(element).forEach((key) => {
+
+            check(key, elementPath.concat(key));
+            checkValue(element[key], elementPath.concat(key));
+        });
+    };
+
+    if (Array.isArray(item.target)) {
+        item.target.forEach((element, index) => checkElement(element, path.concat('target', index)));
+    }
+    else if (item.target) {
+        checkElement(item.target, path.concat('target'));
+    }
+
+    ['policies', 'rules'].forEach((children) => {
+
+        (item[children] || []).forEach((child, index) => {
+
+            errors.push(...internals.sourceErrors(child, dataRetriever, path.concat(children, index)));
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Label of a path in the messages of the errors, as in the validation errors (e.g. '"policies[0].target.credentials:group"')
+ **/
+internals.label = (path) => {
+
+    const label = path.reduce((result, segment) => {
+
+        if (typeof segment === 'number') {
+            return result + '[' + segment + ']';
+        }
+
+        return result ? result + '.' + segment : segment;
+    }, '');
+
+    return '"' + label + '"';
+};
+
+/**
+ * Operands of operator objects are target values, unless the operator has its own operand schema (e.g. $time)
+ **/
+internals.operatorKeys = () => {
+
+    const keys = {};
+
+    Operators.names.forEach((name) => {
+
+        keys[name] = Operators.operands[name] || Joi.link('#targetValue');
+    });
+
+    return keys;
+};
+
+schemas.targetValue = Joi.alternatives()
+    .conditional(Joi.array(), { then: Joi.array().items(Joi.link('#targetValue')) })
+    .conditional(Joi.object().instance(RegExp), { then: Joi.any() })
+    .conditional(Joi.object().instance(Date), { then: Joi.any() })
+    .conditional(Joi.object({ field: Joi.any().required() }).unknown(), {
+        then: Joi.object({ field: Joi.string().min(1).required() })
+    })
+    .conditional(Joi.object().pattern(/^\$/, Joi.any()).min(1), {
+        then: Joi.object(internals.operatorKeys())
+            .messages({ 'object.unknown': '{{#label}} is not a valid operator' })
+    })
+    .conditional(Joi.any(), { then: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean(), Joi.valid(null)) })
+    .id('targetValue');
+
+schemas.targetElement = Joi.object().pattern(Joi.string().min(1), schemas.targetValue);
+
+schemas.target = Joi.alternatives().conditional(Joi.array(), {
+    then: Joi.array().items(schemas.targetElement).min(1),
+    otherwise: schemas.targetElement
+});
+
+schemas.rule = Joi.object({
+    id: Joi.alternatives().try(Joi.string(), Joi.number()),
+    description: Joi.string(),
+    target: schemas.target,
+    effect: Joi.string().valid(...VALID_EFFECTS).required(),
+    obligations: Joi.any(),
+    advice: Joi.any()
+});
+
+schemas.item = Joi.object({
+    id: Joi.alternatives().try(Joi.string(), Joi.number()),
+    description: Joi.string(),
+    target: schemas.target,
+    apply: Joi.alternatives().try(Joi.string().valid(...Object.keys(internals.combineAlg)), Joi.func().minArity(3).maxArity(4)),
+    policies: Joi.array().items(Joi.link('#item')),
+    rules: Joi.array().items(schemas.rule),
+    effect: Joi.string().valid(...VALID_EFFECTS),
+    obligations: Joi.any(),
+    advice: Joi.any()
+})
+    .xor('policies', 'rules', 'effect')
+    .without('effect', 'apply')
+    .required()
+    .id('item');
+
+/**
+ * Validate and compile a policy set, policy or rule, to be evaluated repeatedly.
+ * Throws an error describing all the validation errors (also available in err.data) if the item is not valid.
+ *
+ * @param item - Policy set, policy or rule
+ * @param options - (optional) See validatePolicy
+ * @returns Frozen copy of the item, with the combinatory algorithms resolved
+ **/
+internals.compilePolicy = (item, options) => {
+
+    internals.assertPolicy(item, options);
+
+    return internals.compileItem(item);
+};
+
+internals.assertPolicy = (item, options) => {
+
+    const errors = internals.validatePolicy(item, options);
+
+    if (errors.length) {
+        throw Boom.badImplementation('RBAC configuration error: invalid policy. ' + errors.map((error) => error.message).join('. '), errors);
+    }
+};
+
+internals.compileItem = (item) => {
+
+    const compiled = {};
+
+    for (const key of Object.keys(item)) {
+
+        if (key === 'policies') {
+            compiled.policies = Object.freeze(item.policies.map(internals.compileItem));
+        }
+        else if (key === 'rules') {
+            compiled.rules = Object.freeze(item.rules.map(internals.compileItem));
+        }
+        else if (key !== 'apply') {
+            compiled[key] = internals.deepFreeze(Hoek.clone(item[key]));
+        }
+    }
+
+    // Rules have no combinatory algorithm
+    if (item.policies || item.rules) {
+        compiled.apply = internals.getCombinator(item.apply);
+    }
+
+    return Object.freeze(compiled);
+};
+
+/**
+ * Freeze an object and its properties. RegExp are not frozen, since they keep state (lastIndex).
+ **/
+internals.deepFreeze = (value) => {
+
+    if (!value || typeof value !== 'object' || value instanceof RegExp) {
+        return value;
+    }
+
+    for (const key of Object.keys(value)) {
+        internals.deepFreeze(value[key]);
+    }
+
+    return Object.freeze(value);
+};
+
+/**
+ * Load a policy set, policy or rule from its JSON format (see serializePolicy).
+ * Throws an error describing all the validation errors (also available in err.data) if the item is not valid.
+ *
+ * @param json - JSON string or parsed JSON object
+ * @param options - (optional) See validatePolicy
+ * @returns Policy set, policy or rule, with the regular expressions restored
+ **/
+internals.loadPolicy = (json, options) => {
+
+    if (typeof json === 'string') {
+        try {
+            json = JSON.parse(json);
+        } catch (e) {
+            throw Boom.badImplementation('RBAC configuration error: invalid JSON policy. ' + e.message);
+        }
+    }
+
+    if (!json || typeof json !== 'object') {
+        internals.assertPolicy(json);
+    }
+
+    const item = internals.mapTargetValues(json, (value) => {
+
+        if (!internals.isSerializedRegExp(value)) {
+            return value;
+        }
+
+        try {
+            return new RegExp(value.$regex, value.flags);
+        } catch (e) {
+            throw Boom.badImplementation('RBAC configuration error: invalid regular expression. ' + e.message);
+        }
+    });
+
+    internals.assertPolicy(item, options);
+
+    return item;
+};
+
+/**
+ * Convert a policy set, policy or rule to its JSON format, which can be stored as JSON (e.g. with JSON.stringify).
+ * It is the same as the policy, with:
+ *   * RegExp as { $regex: '^articles:', flags: 'i' } (flags are optional)
+ *   * combinatory algorithms of compiled policies as their names
+ *
+ * Throws an error if the item is not valid or has custom combinatory algorithms.
+ *
+ * @param item - Policy set, policy or rule (may be compiled)
+ * @returns JSON object
+ **/
+internals.serializePolicy = (item) => {
+
+    internals.assertPolicy(item);
+
+    return internals.mapTargetValues(item, (value) => {
+
+        if (!(value instanceof RegExp)) {
+            return value;
+        }
+
+        const serialized = { $regex: value.source };
+
+        if (value.flags) {
+            serialized.flags = value.flags;
+        }
+
+        return serialized;
+    }, (apply) => {
+
+        const name = typeof apply === 'function' ? Object.keys(internals.combineAlg).find((key) => internals.combineAlg[key] === apply) : apply;
+
+        if (!name) {
+            throw Boom.badImplementation('RBAC configuration error: custom combinatory algorithms can not be serialized');
+        }
+
+        return name;
+    });
+};
+
+internals.isSerializedRegExp = (value) => {
+
+    return Boolean(value) &&
+        typeof value === 'object' &&
+        typeof value.$regex === 'string' &&
+        Object.keys(value).every((key) => key === '$regex' || (key === 'flags' && typeof value.flags === 'string'));
+};
+
+/**
+ * Copy an item, mapping the target values (including the operands of operators) and the combinatory algorithms.
+ * visitElement (optional) is called with each target element.
+ **/
+internals.mapTargetValues = (item, mapValue, mapApply, visitElement) => {
+
+    const copy = Object.assign({}, item);
+
+    if (item.target) {
+        const mapElement = (element) => {
+
+            if (visitElement && element && typeof element === 'object') {
+                visitElement(element);
+            }
+
+            return internals.mapTargetElement(element, mapValue);
+        };
+
+        copy.target = Array.isArray(item.target) ? item.target.map(mapElement) : mapElement(item.target);
+    }
+
+    if (Array.isArray(item.policies)) {
+        copy.policies = item.policies.map((policy) => internals.mapTargetValues(policy, mapValue, mapApply, visitElement));
+    }
+
+    if (Array.isArray(item.rules)) {
+        copy.rules = item.rules.map((rule) => internals.mapTargetValues(rule, mapValue, mapApply, visitElement));
+    }
+
+    if (mapApply && item.apply) {
+        copy.apply = mapApply(item.apply);
+    }
+
+    return copy;
+};
+
+internals.mapTargetElement = (element, mapValue) => {
+
+    if (!element || typeof element !== 'object') {
+        return element;
+    }
+
+    const copy = {};
+
+    for (const key of Object.keys(element)) {
+        copy[key] = internals.mapTargetValue(element[key], mapValue);
+    }
+
+    return copy;
+};
+
+internals.mapTargetValue = (value, mapValue) => {
+
+    if (Array.isArray(value)) {
+        return value.map((item) => internals.mapTargetValue(item, mapValue));
+    }
+
+    const mapped = mapValue(value);
+
+    if (mapped !== value || !Operators.isOperator(value)) {
+        return mapped;
+    }
+
+    return internals.mapTargetElement(value, mapValue);
+};
+
+/**
+ * Obtain the attributes which the evaluation of a policy may retrieve: the keys of the targets, and the
+ * fields referenced in the target values (e.g. { field: 'resource:owner' }), grouped by source.
+ * Allows to check that every source has a data retriever, to prefetch the attributes or to document the policy inputs.
+ *
+ * Throws an error if the item is not valid.
+ *
+ * @param item - Policy set, policy or rule (may be compiled)
+ * @returns JSON where keys are the sources and values are the sorted keys in the source,
+ *   e.g. { credentials: ['group', 'user.id'], resource: ['owner'] }
+ **/
+internals.analyzePolicy = (item) => {
+
+    internals.assertPolicy(item);
+
+    const attributes = {};
+
+    internals.policyKeys(item).forEach((key) => {
+
+        const parsed = DataRetrievalRouter.parseKey(key);
+
+        attributes[parsed.source] = attributes[parsed.source] || [];
+
+        if (attributes[parsed.source].indexOf(parsed.key) === -1) {
+            attributes[parsed.source].push(parsed.key);
+        }
+    });
+
+    const sorted = {};
+
+    Object.keys(attributes).sort().forEach((source) => {
+
+        sorted[source] = attributes[source].sort();
+    });
+
+    return sorted;
+};
+
+/**
+ * Obtain the keys of the targets of an item and its children, and the fields referenced in their values
+ **/
+internals.policyKeys = (item) => {
+
+    const keys = [];
+    const add = (key) => {
+
+        if (keys.indexOf(key) === -1) {
+            keys.push(key);
+        }
+    };
+
+    internals.mapTargetValues(item, (value) => {
+
+        if (value && typeof value === 'object' && value.field) {
+            add(value.field);
+        }
+
+        return value;
+    }, null, (element) => Object.keys(element).forEach(add));
+
+    return keys;
+};
+
+/**
+ * Request all the keys of an item from a memoized data retriever, so that they are retrieved together.
+ * Errors are reported by the evaluation, when the keys are used.
+ **/
+internals.prefetch = (item, dataRetriever) => {
+
+    let keys;
+
+    try {
+        keys = internals.policyKeys(item);
+        keys.forEach(DataRetrievalRouter.parseKey);
+    } catch (e) {
+        return; // the evaluation reports the invalid items
+    }
+
+    keys.forEach((key) => {
+
+        dataRetriever.get(key).catch(Hoek.ignore);
     });
 };
 
 exports = module.exports = {
     evaluatePolicy: internals.evaluatePolicy,
+    validatePolicy: internals.validatePolicy,
+    compilePolicy: internals.compilePolicy,
+    loadPolicy: internals.loadPolicy,
+    serializePolicy: internals.serializePolicy,
+    analyzePolicy: internals.analyzePolicy,
     evaluateRule: internals.evaluateRule,
     evaluateTarget: internals.evaluateTarget,
     DENY,
     PERMIT,
+    INDETERMINATE,
     UNDETERMINED,
-    DataRetrievalRouter
+    NOT_APPLICABLE,
+    DataRetrievalRouter,
+    Retrievers,
+    RoleHierarchy,
+    MemoryStore
 };
+
+// Built on top of the exports above
+exports.Permissions = require('./permissions');
+exports.loadPolicyFiles = require('./loader').loadPolicyFiles;
@@ -0,0 +1,184 @@
+'use strict';
+
+const internals = {};
+
+/**
+ * Parse an IPv4 or IPv6 address into 16 bit words (2 for IPv4, 8 for IPv6).
+ * IPv4-mapped IPv6 addresses (e.g. '::ffff:10.0.0.1') are parsed as IPv4.
+ *
+ * @param address - IP address (e.g. '10.0.0.1', '2001:db8::1')
+ * @returns Array of words, or null if address is not valid
+ **/
+internals.parse = (address) => {
+
+    if (typeof address !== 'string') {
+        return null;
+    }
+
+    if (address.indexOf(':') === -1) {
+        return internals.parseIPv4(address);
+    }
+
+    const words = internals.parseIPv6(address);
+
+    if (words && words.slice(0, 5).every((word) => word === 0) && words[5] === 0xffff) {
+        return words.slice(6);
+    }
+
+    return words;
+};
+
+internals.parseIPv4 = (address) => {
+
+    const bytes = address.split('.');
+
+    if (bytes.length !== 4 || !bytes.every((byte) => /^\d{1,3}$/.test(byte) && Number(byte) <= 255)) {
+        return null;
+    }
+
+    return [Number(bytes[0]) * 256 + Number(bytes[1]), Number(bytes[2]) * 256 + Number(bytes[3])];
+};
+
+internals.parseIPv6 = (address) => {
+
+    address = address.replace(/%.*$/, ''); // zone id (e.g. 'fe80::1%eth0')
+
+    const halves = address.split('::');
+
+    if (halves.length > 2) {
+        return null;
+    }
+
+    const head = internals.parseGroups(halves[0]);
+    const tail = halves.length === 2 ? internals.parseGroups(halves[1]) : [];
+
+    if (!head || !tail) {
+        return null;
+    }
+
+    const missing = 8 - head.length - tail.length;
+
+    if (halves.length === 2 ? missing < 1 : missing !== 0) {
+        return null;
+    }
+
+    return head.concat(new Array(halves.length === 2 ? missing : 0).fill(0), tail);
+};
+
+internals.parseGroups = (string) => {
+
+    if (string === '') {
+        return [];
+    }
+
+    const groups = string.split(':');
+    const words = [];
+
+    for (let i = 0; i < groups.length; ++i) {
+        const group = groups[i];
+
+        if (i === groups.length - 1 && group.indexOf('.') !== -1) {
+            const ipv4 = internals.parseIPv4(group);
+
+            if (!ipv4) {
+                return null;
+            }
+
+            words.push(...ipv4);
+        }
+        else if (/^[0-9a-f]{1,4}$/i.test(group)) {
+            words.push(parseInt(group, 16));
+        }
+        else {
+            return null;
+        }
+    }
+
+    return words;
+};
+
+/**
+ * Parse a block of addresses: a CIDR block ('10.0.0.0/8', '2001:db8::/32'), a range ('10.0.0.1-10.0.0.9') or a single address.
+ *
+ * @returns { first, last } with the words of the first and last addresses, or null if block is not valid
+ **/
+internals.parseBlock = (block) => {
+
+    if (typeof block !== 'string') {
+        return null;
+    }
+
+    const range = block.split('-');
+
+    if (range.length === 2) {
+        const first = internals.parse(range[0].trim());
+        const last = internals.parse(range[1].trim());
+
+        if (!first || !last || first.length !== last.length || internals.compare(first, last) > 0) {
+            return null;
+        }
+
+        return { first, last };
+    }
+
+    const cidr = block.split('/');
+    const words = internals.parse(cidr[0]);
+
+    if (!words || range.length !== 1 || cidr.length > 2) {
+        return null;
+    }
+
+    if (cidr.length === 1) {
+        return { first: words, last: words };
+    }
+
+    const prefix = Number(cidr[1]);
+
+    if (!/^\d{1,3}$/.test(cidr[1]) || prefix > words.length * 16) {
+        return null;
+    }
+
+    const first = [];
+    const last = [];
+
+    words.forEach((word, index) => {
+
+        const bits = Math.min(Math.max(prefix - index * 16, 0), 16);
+        const mask = (0xffff << (16 - bits)) & 0xffff;
+
+        first.push(word & mask);
+        last.push((word & mask) | (~mask & 0xffff));
+    });
+
+    return { first, last };
+};
+
+internals.compare = (a, b) => {
+
+    for (let i = 0; i < a.length; ++i) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+
+    return 0;
+};
+
+/**
+ * Check if an address is in a block (see parseBlock)
+ **/
+internals.contains = (block, address) => {
+
+    const words = internals.parse(address);
+
+    return Boolean(words) &&
+        words.length === block.first.length &&
+        internals.compare(words, block.first) >= 0 &&
+        internals.compare(words, block.last) <= 0;
+};
+
+exports = module.exports = {
+    parse: internals.parse,
+    parseBlock: internals.parseBlock,
+    contains: internals.contains
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+const Fs = require('fs');
+const Path = require('path');
+
+const Boom = require('@hapi/boom');
+const Joi = require('joi');
+const Yaml = require('js-yaml');
+const Rbac = require('./index');
+const DataRetrievalRouter = require('./DataRetrievalRouter');
+
+const internals = {};
+const schemas = {};
+
+internals.extensions = ['.json', '.yaml', '.yml'];
+
+/**
+ * Load the policies from the JSON and YAML files of a directory (and its subdirectories).
+ * When no callback is given, a Promise is returned.
+ *
+ * Each file has a policy set, policy or rule (in the JSON format, see serializePolicy), or an array of them.
+ * YAML files are parsed with the core schema, so unquoted dates (e.g. 2026-12-31) are strings, as in JSON.
+ * Policies are identified by their id. When a file has a single item without id, its id is the file name
+ * without extension (e.g. 'billing-admins' for 'billing-admins.yaml').
+ *
+ * Items in policies and rules can reference other items by id, with { $ref: 'billing-admins' }.
+ *
+ * @param directory - Directory of the policy files
+ * @param options - (optional) A JSON with the following options:
+ *   * dataRetriever - DataRetrievalRouter which must have a data retriever for every source used by the policies
+ *     (see validatePolicy)
+ * @param callback - (optional) Function with signature (err, policies), where policies is a JSON with the resolved
+ *   policies by id (e.g. policies['billing-admins'])
+ **/
+internals.loadPolicyFiles = (directory, options, callback) => {
+
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+
+    options = options || {};
+
+    if (!callback) {
+        return new Promise((resolve, reject) => {
+
+            internals.loadPolicyFiles(directory, options, (err, policies) => (err ? reject(err) : resolve(policies)));
+        });
+    }
+
+    try {
+        Joi.assert(directory, schemas.loadPolicyFiles_directory);
+        Joi.assert(options, schemas.loadPolicyFiles_options);
+    } catch (e) {
+        return callback(e);
+    }
+
+    internals.readDirectory(directory)
+        .then((files) => Promise.all(files.map(internals.readFile)))
+        .then((contents) => callback(null, internals.resolve(contents, options)))
+        .catch((err) => callback(err));
+};
+
+schemas.loadPolicyFiles_directory = Joi.string().min(1).required();
+schemas.loadPolicyFiles_options = Joi.object({
+    dataRetriever: Joi.object().instance(DataRetrievalRouter).optional()
+}).unknown(false);
+
+/**
+ * Obtain the policy files of a directory and its subdirectories, sorted by path
+ **/
+internals.readDirectory = async (directory) => {
+
+    const entries = await Fs.promises.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const path = Path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+            files.push(...await internals.readDirectory(path));
+        }
+        else if (internals.extensions.indexOf(Path.extname(entry.name).toLowerCase()) !== -1) {
+            files.push(path);
+        }
+    }
+
+    return files.sort();
+};
+
+/**
+ * Parse a policy file
+ *
+ * @returns { file, items }
+ **/
+internals.readFile = async (file) => {
+
+    const content = await Fs.promises.readFile(file, 'utf8');
+    let parsed;
+
+    try {
+        parsed = Path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : Yaml.load(content, { filename: file, schema: Yaml.CORE_SCHEMA });
+    } catch (e) {
+        throw Boom.badImplementation('RBAC configuration error: invalid policy file ' + file + '. ' + e.message);
+    }
+
+    if (Array.isArray(parsed)) {
+        return { file, items: parsed };
+    }
+
+    if (parsed && typeof parsed === 'object' && parsed.id === undefined) {
+        parsed = Object.assign({ id: Path.basename(file, Path.extname(file)) }, parsed);
+    }
+
+    return { file, items: [parsed] };
+};
+
+/**
+ * Index the items of the files by id, and resolve their references
+ **/
+internals.resolve = (contents, options) => {
+
+    const definitions = Object.create(null);
+    const files = Object.create(null);
+
+    for (const content of contents) {
+        for (const item of content.items) {
+            if (!item || typeof item !== 'object' || (typeof item.id !== 'string' && typeof item.id !== 'number')) {
+                throw Boom.badImplementation('RBAC configuration error: policy without id in file ' + content.file);
+            }
+
+            if (files[item.id]) {
+                throw Boom.badImplementation('RBAC configuration error: duplicated policy id ' + item.id + ' in files ' + files[item.id] + ' and ' + content.file);
+            }
+
+            definitions[item.id] = item;
+            files[item.id] = content.file;
+        }
+    }
+
+    const resolved = Object.create(null);
+    const policies = {};
+
+    for (const id of Object.keys(definitions)) {
+        policies[id] = internals.resolveItem(definitions, resolved, files, id, [], options);
+    }
+
+    return policies;
+};
+
+/**
+ * Resolve the references of an item, detecting cycles. Each item is resolved (and loaded) only once.
+ **/
+internals.resolveItem = (definitions, resolved, files, id, path, options) => {
+
+    if (path.indexOf(id) !== -1) {
+        throw Boom.badImplementation('RBAC configuration error: cycle in policy references: ' + path.concat(id).join(' -> '));
+    }
+
+    if (!resolved[id]) {
+        const item = Object.assign({}, definitions[id]);
+        const resolveChildren = (children) => children.map((child) => internals.resolveReference(definitions, resolved, files, child, path.concat(id), options));
+
+        if (Array.isArray(item.policies)) {
+            item.policies = resolveChildren(item.policies);
+        }
+
+        if (Array.isArray(item.rules)) {
+            item.rules = resolveChildren(item.rules);
+        }
+
+        try {
+            resolved[id] = Rbac.loadPolicy(item, options);
+        } catch (e) {
+            throw Boom.badImplementation(e.message + ' (' + files[id] + ')', e.data);
+        }
+    }
+
+    return resolved[id];
+};
+
+internals.resolveReference = (definitions, resolved, files, child, path, options) => {
+
+    if (!child || typeof child !== 'object' || child.$ref === undefined) {
+        return child;
+    }
+
+    const id = String(child.$ref);
+
+    if (Object.keys(child).length !== 1) {
+        throw Boom.badImplementation('RBAC configuration error: policy reference ' + id + ' with other keys in file ' + files[path[path.length - 1]]);
+    }
+
+    if (!definitions[id]) {
+        throw Boom.badImplementation('RBAC configuration error: unknown policy reference ' + id + ' in file ' + files[path[path.length - 1]]);
+    }
+
+    return internals.resolveItem(definitions, resolved, files, id, path, options);
+};
+
+exports = module.exports = {
+    loadPolicyFiles: internals.loadPolicyFiles
+};
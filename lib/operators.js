@@ -0,0 +1,319 @@
+'use strict';
+
+const Boom = require('@hapi/boom');
+const Joi = require('joi');
+const Ip = require('./ip');
+const Time = require('./time');
+
+const internals = {};
+const schemas = {};
+
+/**
+ * Operators which can be used in target values, instead of a literal or a RegExp.
+ *
+ * {
+ *   'credentials:age': { $gte: 18 },
+ *   'credentials:clearance': { $ne: 'revoked' },
+ *   'connection:remoteip': { $nin: ['192.168.0.2', '192.168.0.3'] },
+ *   'credentials:group': { $not: /^guest:/ },
+ *   'credentials:email': { $exists: true },
+ *   'credentials:uploads': { $lt: { field: 'env:upload-limit' } },
+ *   'time:now': { $time: { from: '08:00', to: '18:00', weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'], timeZone: 'Europe/Lisbon' } },
+ *   'credentials:expires': { $date: { from: '2022-01-01', to: '2027-01-01' } },
+ *   'connection:remoteip': { $cidr: ['10.0.0.0/8', '192.168.0.10-192.168.0.20', '2001:db8::/32'] },
+ *   'credentials:group': { $glob: ['articles:*', 'reports/**'] }
+ * }
+ *
+ * Each operator is a function with signature (values:Array, operand) => Boolean, where values
+ * are the values obtained from the data retriever. When more than one operator is used in the
+ * same object, all of them should match (AND).
+ **/
+internals.operators = {};
+
+internals.operators.$eq = (values, operand) => internals.matches(operand, values);
+
+internals.operators.$ne = (values, operand) => !internals.matches(operand, values);
+
+internals.operators.$gt = (values, operand) => internals.compare(values, (value) => internals.order(value, operand) > 0);
+
+internals.operators.$gte = (values, operand) => internals.compare(values, (value) => internals.order(value, operand) >= 0);
+
+internals.operators.$lt = (values, operand) => internals.compare(values, (value) => internals.order(value, operand) < 0);
+
+internals.operators.$lte = (values, operand) => internals.compare(values, (value) => internals.order(value, operand) <= 0);
+
+internals.operators.$in = (values, operand) => {
+
+    if (!Array.isArray(operand)) {
+        operand = [operand];
+    }
+
+    return operand.some((item) => internals.matches(item, values));
+};
+
+internals.operators.$nin = (values, operand) => !internals.operators.$in(values, operand);
+
+internals.operators.$not = (values, operand) => !internals.applies(operand, values);
+
+internals.operators.$exists = (values, operand) => {
+
+    const exists = values.some((value) => value !== undefined && value !== null);
+    return exists === Boolean(operand);
+};
+
+/**
+ * Time of day window and days of the week, in a time zone, of date like values (Date, timestamp or date string).
+ * The window includes from and excludes to. When from is after to, the window crosses midnight (e.g. 22:00 to 06:00).
+ **/
+internals.operators.$time = (values, operand) => {
+
+    operand = internals.operand('$time', operand);
+
+    const from = internals.seconds(operand.from || '00:00');
+    const to = internals.seconds(operand.to || '24:00');
+    const weekdays = operand.weekdays && [].concat(operand.weekdays).map(internals.weekday);
+
+    return internals.compare(values.map(Time.toDate), (date) => {
+
+        const parts = Time.parts(date, operand.timeZone);
+        const time = parts.hour * 3600 + parts.minute * 60 + parts.second;
+
+        if (weekdays && weekdays.indexOf(parts.weekday) === -1) {
+            return false;
+        }
+
+        return from <= to ? time >= from && time < to : time >= from || time < to;
+    });
+};
+
+/**
+ * Absolute date range of date like values. The range includes from and excludes to.
+ **/
+internals.operators.$date = (values, operand) => {
+
+    operand = internals.operand('$date', operand);
+
+    const from = operand.from === undefined ? -Infinity : Time.toDate(operand.from).getTime();
+    const to = operand.to === undefined ? Infinity : Time.toDate(operand.to).getTime();
+
+    return internals.compare(values.map(Time.toDate), (date) => date.getTime() >= from && date.getTime() < to);
+};
+
+/**
+ * IPv4 and IPv6 blocks of addresses: CIDR blocks ('10.0.0.0/8'), ranges ('10.0.0.1-10.0.0.9') or single addresses
+ **/
+internals.operators.$cidr = (values, operand) => {
+
+    operand = internals.operand('$cidr', operand);
+
+    const blocks = [].concat(operand).map(Ip.parseBlock);
+
+    return values.some((value) => blocks.some((block) => Ip.contains(block, value)));
+};
+
+/**
+ * Glob patterns of strings: '*' matches any characters except ':' and '/', '**' matches any characters and
+ * '?' matches a single character except ':' and '/'. Use a backslash to escape them.
+ **/
+internals.operators.$glob = (values, operand) => {
+
+    operand = internals.operand('$glob', operand);
+
+    const patterns = [].concat(operand).map(internals.glob);
+
+    return values.some((value) => typeof value === 'string' && patterns.some((pattern) => pattern.test(value)));
+};
+
+internals.globs = new Map();
+
+internals.glob = (pattern) => {
+
+    if (!internals.globs.has(pattern)) {
+        const source = pattern.replace(/\\(.)|(\*\*)|(\*)|(\?)|([.+^${}()|[\]\\])/g, (match, escaped, any, segment, single, special) => {
+
+            if (escaped) {
+                return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+
+            if (any) {
+                return '.*';
+            }
+
+            if (segment) {
+                return '[^:/]*';
+            }
+
+            return single ? '[^:/]' : '\\' + special;
+        });
+
+        if (internals.globs.size >= 1000) {
+            internals.globs.clear();
+        }
+
+        internals.globs.set(pattern, new RegExp('^' + source + '$'));
+    }
+
+    return internals.globs.get(pattern);
+};
+
+internals.weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+internals.weekday = (day) => (typeof day === 'number' ? day : internals.weekdays.indexOf(day.toLowerCase()));
+
+internals.seconds = (time) => {
+
+    const parts = time.split(':').map(Number);
+
+    return parts[0] * 3600 + parts[1] * 60 + (parts[2] || 0);
+};
+
+/**
+ * Operands of the operators which are not target values
+ **/
+schemas.operands = {};
+
+schemas.operands.$time = Joi.object({
+    from: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/),
+    to: Joi.string().pattern(/^(([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?|24:00)$/),
+    weekdays: Joi.array().items(
+        Joi.number().integer().min(0).max(6),
+        Joi.string().lowercase().valid(...internals.weekdays)
+    ).single().min(1),
+    timeZone: Joi.string().custom((value, helpers) => (Time.isTimeZone(value) ? value : helpers.error('any.invalid')))
+}).or('from', 'to', 'weekdays');
+
+schemas.operands.$date = Joi.object({
+    from: Joi.date(),
+    to: Joi.date()
+}).or('from', 'to');
+
+schemas.operands.$cidr = Joi.array().items(
+    Joi.string().custom((value, helpers) => (Ip.parseBlock(value) ? value : helpers.message('{{#label}} is not a valid IP address, CIDR block or range')))
+).single().min(1);
+
+schemas.operands.$glob = Joi.array().items(Joi.string()).single().min(1);
+
+internals.operand = (name, operand) => {
+
+    const result = schemas.operands[name].required().validate(operand);
+
+    if (result.error) {
+        throw Boom.badImplementation('RBAC target error: invalid operand of ' + name + ': ' + result.error.message);
+    }
+
+    return operand;
+};
+
+internals.compare = (values, comparator) => {
+
+    return values.some((value) => value !== undefined && value !== null && comparator(value));
+};
+
+/**
+ * Order a value and an operand of the comparison operators ($gt, $gte, $lt and $lte):
+ *   * numbers and numeric strings (e.g. '10', from environment variables) are compared as numbers
+ *   * other strings are compared as strings
+ *   * dates are compared by time
+ *
+ * @returns Negative, zero or positive number, or NaN if they can not be compared (e.g. a date and a number)
+ **/
+internals.order = (value, operand) => {
+
+    if (value instanceof Date && operand instanceof Date) {
+        return value.getTime() - operand.getTime();
+    }
+
+    const number = internals.toNumber(value);
+    const numberOperand = internals.toNumber(operand);
+
+    if (number !== null && numberOperand !== null) {
+        return number - numberOperand;
+    }
+
+    if (typeof value === 'string' && typeof operand === 'string') {
+        return value < operand ? -1 : (value > operand ? 1 : 0);
+    }
+
+    return NaN;
+};
+
+internals.toNumber = (value) => {
+
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+
+    return null;
+};
+
+/**
+ * Check if a value is an operator object: a non empty object with only operator keys (starting with $)
+ **/
+internals.isOperator = (value) => {
+
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof RegExp) {
+        return false;
+    }
+
+    const keys = Object.keys(value);
+
+    return keys.length > 0 && keys.every((key) => key[0] === '$');
+};
+
+/**
+ * Check if a single target (literal, Date, RegExp or operator object) matches at least one of the values.
+ * Dates match the values which are dates with the same time.
+ **/
+internals.matches = (target, values) => {
+
+    if (target instanceof RegExp) {
+        return values.some((value) => target.test(value));
+    }
+
+    if (internals.isOperator(target)) {
+        return Object.keys(target).every((name) => {
+
+            const operator = internals.operators[name];
+
+            if (!operator) {
+                throw Boom.badImplementation('RBAC target error: unknown operator ' + name);
+            }
+
+            return operator(values, target[name]);
+        });
+    }
+
+    if (target instanceof Date) {
+        return values.some((value) => value instanceof Date && value.getTime() === target.getTime());
+    }
+
+    return values.some((value) => value === target);
+};
+
+/**
+ * If target has more than one value, all of them should match
+ **/
+internals.applies = (targets, values) => {
+
+    if (!Array.isArray(targets)) {
+        targets = [targets];
+    }
+
+    if (!Array.isArray(values)) {
+        values = [values];
+    }
+
+    // Should match all
+    return targets.every((target) => internals.matches(target, values));
+};
+
+exports = module.exports = {
+    applies: internals.applies,
+    isOperator: internals.isOperator,
+    names: Object.keys(internals.operators),
+    operands: schemas.operands
+};
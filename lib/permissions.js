@@ -0,0 +1,164 @@
+'use strict';
+
+const Joi = require('joi');
+const Rbac = require('./index');
+const DataRetrievalRouter = require('./DataRetrievalRouter');
+const Retrievers = require('./retrievers');
+const RoleHierarchy = require('./roles');
+
+const internals = {};
+const schemas = {};
+
+/**
+ * Permissions object constructor.
+ *
+ * Classic RBAC model: roles are granted permissions (e.g. 'articles:publish') and users have roles.
+ * The grants are compiled to a policy, evaluated with evaluatePolicy.
+ *
+ * new Permissions({
+ *     roles: {
+ *         viewer: ['articles:read'],
+ *         editor: [
+ *             'articles:edit',
+ *             { permission: 'articles:publish', target: { 'resource:author': { field: 'subject:id' } } } // only own articles
+ *         ]
+ *     },
+ *     hierarchy: { editor: ['viewer'] },
+ *     users: { francisco: ['editor'] }
+ * });
+ *
+ * @param definition - A JSON with the following keys:
+ *   * roles - A JSON where keys are the roles and values are the granted permissions. A grant is a permission, or
+ *     an object { permission, target } to grant the permission only when the target applies. Permissions can
+ *     have wildcards (e.g. 'articles:*', see $glob operator).
+ *   * hierarchy - (optional) Roles inherited by each role (see RoleHierarchy)
+ *   * users - (optional) A JSON where keys are the user ids and values are their roles
+ * @param options - (optional) A JSON with the following options:
+ *   * dataRetriever - DataRetrievalRouter with other sources used in the targets of the grants (e.g. 'time:now')
+ **/
+exports = module.exports = internals.Permissions = function Permissions(definition, options) {
+
+    Joi.assert(definition, schemas.Permissions_definition);
+    options = options || {};
+    Joi.assert(options, schemas.Permissions_options);
+
+    this.users = definition.users || {};
+    this.hierarchy = new RoleHierarchy(definition.hierarchy || {}, { keys: ['subject:roles'] });
+    this.policy = Rbac.compilePolicy(internals.compile(definition.roles));
+
+    this.dataRetriever = options.dataRetriever ? options.dataRetriever.createChild() : new DataRetrievalRouter();
+    this.dataRetriever.registerAll({
+        subject: Retrievers.context('subject'),
+        permission: Retrievers.context('permission'),
+        resource: Retrievers.context('resource')
+    }, { override: true });
+};
+
+schemas.grant = Joi.alternatives().try(
+    Joi.string().min(1),
+    Joi.object({
+        permission: Joi.string().min(1).required(),
+        target: Joi.any()
+    })
+);
+
+schemas.Permissions_definition = Joi.object({
+    roles: Joi.object().pattern(Joi.string().min(1), Joi.array().items(schemas.grant)).required(),
+    hierarchy: Joi.object().optional(),
+    users: Joi.object().pattern(Joi.string().min(1), Joi.array().items(Joi.string().min(1)).single()).optional()
+}).required();
+
+schemas.Permissions_options = Joi.object({
+    dataRetriever: Joi.object().instance(DataRetrievalRouter).optional()
+}).unknown(false);
+
+/**
+ * Compile the grants of each role to a policy with a permit rule per grant
+ **/
+internals.compile = (roles) => {
+
+    const rules = [];
+
+    Object.keys(roles).forEach((role) => {
+
+        roles[role].forEach((grant) => {
+
+            if (typeof grant === 'string') {
+                grant = { permission: grant };
+            }
+
+            const permission = internals.isGlob(grant.permission) ? { $glob: grant.permission } : grant.permission;
+            const element = { 'subject:roles': role, 'permission:name': permission };
+            const target = grant.target ?
+                [].concat(grant.target).map((item) => Object.assign({}, item, element)) :
+                element;
+
+            rules.push({ target, effect: 'permit' });
+        });
+    });
+
+    return {
+        apply: 'permit-overrides',
+        rules
+    };
+};
+
+internals.isGlob = (permission) => /[*?]/.test(permission);
+
+/**
+ * Check if a subject has a permission, optionally over a resource.
+ * When no callback is given, a Promise is returned.
+ *
+ * @param subject - User id (with roles defined in users), or an object { id, roles } with the user attributes
+ * @param permission - Permission (e.g. 'articles:publish')
+ * @param resource - (optional) Resource attributes, used in the targets of the grants (e.g. { author: 'francisco' })
+ * @param callback - (optional) Function with signature (err, allowed)
+ **/
+internals.Permissions.prototype.can = function (subject, permission, resource, callback) {
+
+    if (typeof resource === 'function') {
+        callback = resource;
+        resource = undefined;
+    }
+
+    if (!callback) {
+        return new Promise((resolve, reject) => {
+
+            this.can(subject, permission, resource, (err, allowed) => (err ? reject(err) : resolve(allowed)));
+        });
+    }
+
+    const context = {
+        subject: this._subject(subject),
+        permission: { name: permission },
+        resource: resource || {}
+    };
+
+    Rbac.evaluatePolicy(this.policy, this.dataRetriever, { context, roles: this.hierarchy }, (err, decision) => {
+
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, decision === Rbac.PERMIT);
+    });
+};
+
+/**
+ * Obtain the attributes of a subject, with the roles of the user when not given
+ **/
+internals.Permissions.prototype._subject = function (subject) {
+
+    if (typeof subject === 'string') {
+        subject = { id: subject };
+    }
+
+    subject = Object.assign({}, subject);
+
+    if (!subject.roles) {
+        const roles = Object.prototype.hasOwnProperty.call(this.users, subject.id) ? this.users[subject.id] : [];
+        subject.roles = [].concat(roles);
+    }
+
+    return subject;
+};
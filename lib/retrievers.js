@@ -0,0 +1,134 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+const Joi = require('joi');
+const Time = require('./time');
+
+const internals = {};
+const schemas = {};
+
+/**
+ * Data retriever which reads the keys from a property of the context.
+ *
+ * dataRetrieverRouter.register('credentials', Retrievers.context('auth.credentials'));
+ *
+ * @param property - (optional) Dotted path of the property in the context (e.g. 'auth.credentials').
+ *   When not given, the keys are read from the context itself.
+ **/
+internals.context = (property) => {
+
+    Joi.assert(property, schemas.context_property);
+
+    return (source, key, context) => {
+
+        const values = property ? Hoek.reach(context, property) : context;
+
+        return values ? values[key] : undefined;
+    };
+};
+
+schemas.context_property = Joi.string().min(1).optional();
+
+/**
+ * Data retriever which reads the keys from the environment variables.
+ *
+ * dataRetrieverRouter.register('env', Retrievers.env({ prefix: 'APP_' })); // 'env:LIMIT' reads APP_LIMIT
+ *
+ * @param options - (optional) A JSON with the following options:
+ *   * prefix - Prefix added to the keys (default: '')
+ *   * env - Object with the environment variables (default: process.env)
+ **/
+internals.env = (options) => {
+
+    options = options || {};
+    Joi.assert(options, schemas.env_options);
+
+    return (source, key, context) => {
+
+        const env = options.env || process.env;
+
+        return env[(options.prefix || '') + key];
+    };
+};
+
+schemas.env_options = Joi.object({
+    prefix: Joi.string().optional(),
+    env: Joi.object().optional()
+}).unknown(false);
+
+/**
+ * Data retriever of the current time and date, for time based rules.
+ *
+ * dataRetrieverRouter.register('time', Retrievers.time({ timeZone: 'Europe/Lisbon' }));
+ *
+ * Keys:
+ *   * now - Current Date
+ *   * timestamp - Milliseconds since epoch
+ *   * hour - Hour of the day (0 to 23)
+ *   * minute - Minute of the hour (0 to 59)
+ *   * weekday - Day of the week (0 is sunday, 6 is saturday)
+ *   * date - ISO date (e.g. '2022-03-28')
+ *
+ * @param options - (optional) A JSON with the following options:
+ *   * timeZone - IANA time zone of hour, minute, weekday and date (e.g. 'Europe/Lisbon'). (default: the local time zone)
+ *   * now - Function which returns the current Date, allows to control the clock (e.g. in tests). (default: () => new Date())
+ **/
+internals.time = (options) => {
+
+    options = options || {};
+    Joi.assert(options, schemas.time_options);
+
+    return (source, key, context) => {
+
+        const now = options.now ? new Date(options.now()) : new Date();
+
+        if (key === 'now') {
+            return now;
+        }
+
+        if (key === 'timestamp') {
+            return now.getTime();
+        }
+
+        const parts = Time.parts(now, options.timeZone);
+
+        switch (key) {
+            case 'hour':
+            case 'minute':
+            case 'weekday':
+                return parts[key];
+            case 'date':
+                return [parts.year, parts.month, parts.day].map((part) => String(part).padStart(2, '0')).join('-');
+        }
+
+        return undefined;
+    };
+};
+
+schemas.time_options = Joi.object({
+    timeZone: Joi.string().custom((value, helpers) => (Time.isTimeZone(value) ? value : helpers.error('any.invalid'))).optional(),
+    now: Joi.func().optional()
+}).unknown(false);
+
+/**
+ * Data retriever which reads the keys from a static object.
+ *
+ * dataRetrieverRouter.register('config', Retrievers.static({ maxUploads: 10 }));
+ *
+ * @param values - Object with the values
+ **/
+internals.static = (values) => {
+
+    Joi.assert(values, schemas.static_values);
+
+    return (source, key, context) => values[key];
+};
+
+schemas.static_values = Joi.object().required();
+
+exports = module.exports = {
+    context: internals.context,
+    env: internals.env,
+    time: internals.time,
+    static: internals.static
+};
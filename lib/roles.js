@@ -0,0 +1,112 @@
+'use strict';
+
+const Boom = require('@hapi/boom');
+const Joi = require('joi');
+
+const internals = {};
+const schemas = {};
+
+/**
+ * Role hierarchy object constructor.
+ *
+ * Each role lists the roles it inherits, so that a user with a role also has all the inherited roles:
+ *
+ * new RoleHierarchy({
+ *     admin: ['editor'], // admin is also editor and viewer
+ *     editor: ['viewer'],
+ *     viewer: []
+ * });
+ *
+ * Throws an error if a role inherits itself, directly or through other roles.
+ *
+ * @param roles - A JSON where keys are the roles and values are the inherited roles (string or array of strings)
+ * @param options - (optional) A JSON with the following options:
+ *   * keys - Keys which have roles, expanded with the inherited roles when retrieved. (default: ['credentials:group'])
+ **/
+exports = module.exports = internals.RoleHierarchy = function RoleHierarchy(roles, options) {
+
+    Joi.assert(roles, schemas.RoleHierarchy_roles);
+    options = options || {};
+    Joi.assert(options, schemas.RoleHierarchy_options);
+
+    this.keys = options.keys || ['credentials:group'];
+    this.inherited = Object.create(null);
+
+    Object.keys(roles).forEach((role) => {
+
+        this.inherited[role] = [].concat(roles[role]);
+    });
+
+    this.expanded = Object.create(null);
+
+    Object.keys(this.inherited).forEach((role) => this._expand(role, []));
+};
+
+schemas.RoleHierarchy_roles = Joi.object().pattern(Joi.string().min(1), Joi.array().items(Joi.string().min(1)).single()).required();
+schemas.RoleHierarchy_options = Joi.object({
+    keys: Joi.array().items(Joi.string().min(1)).min(1).optional()
+}).unknown(false);
+
+/**
+ * Obtain a role and all the roles it inherits, detecting cycles
+ **/
+internals.RoleHierarchy.prototype._expand = function (role, path) {
+
+    if (path.indexOf(role) !== -1) {
+        throw Boom.badImplementation('RBAC configuration error: cycle in role hierarchy: ' + path.concat(role).join(' -> '));
+    }
+
+    if (!this.expanded[role]) {
+        const expanded = [role];
+
+        (this.inherited[role] || []).forEach((inherited) => {
+
+            this._expand(inherited, path.concat(role)).forEach((item) => {
+
+                if (expanded.indexOf(item) === -1) {
+                    expanded.push(item);
+                }
+            });
+        });
+
+        this.expanded[role] = expanded;
+    }
+
+    return this.expanded[role];
+};
+
+/**
+ * Expand roles with the roles they inherit
+ *
+ * @param roles - Role or array of roles (e.g. ['admin'])
+ * @returns Array with the roles and all the inherited roles (e.g. ['admin', 'editor', 'viewer'])
+ **/
+internals.RoleHierarchy.prototype.expand = function (roles) {
+
+    const expanded = [];
+
+    [].concat(roles).forEach((role) => {
+
+        const items = (typeof role === 'string' && this.expanded[role]) || [role];
+
+        items.forEach((item) => {
+
+            if (expanded.indexOf(item) === -1) {
+                expanded.push(item);
+            }
+        });
+    });
+
+    return expanded;
+};
+
+/**
+ * Check if a role is, or inherits, another role
+ *
+ * @param role - Role (e.g. 'admin')
+ * @param other - Other role (e.g. 'viewer')
+ **/
+internals.RoleHierarchy.prototype.inherits = function (role, other) {
+
+    return this.expand(role).indexOf(other) !== -1;
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const internals = {};
+
+internals.formats = new Map();
+
+internals.weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Obtain the formatter of a time zone, created only once for each time zone.
+ * Throws a RangeError if the time zone is not valid.
+ **/
+internals.format = (timeZone) => {
+
+    const id = timeZone || '';
+
+    if (!internals.formats.has(id)) {
+        internals.formats.set(id, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+
+    return internals.formats.get(id);
+};
+
+/**
+ * Obtain the calendar parts of a date in a time zone:
+ *
+ * { year: 2022, month: 3, day: 28, hour: 8, minute: 30, second: 0, weekday: 1 } // weekday 0 is sunday
+ *
+ * @param date - Date
+ * @param timeZone - (optional) IANA time zone (e.g. 'Europe/Lisbon'). (default: the local time zone)
+ **/
+internals.parts = (date, timeZone) => {
+
+    const parts = {};
+
+    for (const part of internals.format(timeZone).formatToParts(date)) {
+        if (part.type === 'weekday') {
+            parts.weekday = internals.weekdays.indexOf(part.value);
+        }
+        else if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    }
+
+    return parts;
+};
+
+/**
+ * Check if a time zone is valid
+ **/
+internals.isTimeZone = (timeZone) => {
+
+    try {
+        internals.format(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Convert a date like value (Date, timestamp or date string) to a Date, or null if it is not a valid date
+ **/
+internals.toDate = (value) => {
+
+    if (!(value instanceof Date) && typeof value !== 'number' && typeof value !== 'string') {
+        return null;
+    }
+
+    const date = new Date(value);
+
+    return isNaN(date.getTime()) ? null : date;
+};
+
+exports = module.exports = {
+    parts: internals.parts,
+    isTimeZone: internals.isTimeZone,
+    toDate: internals.toDate
+};
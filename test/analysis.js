@@ -0,0 +1,138 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+const Helpers = require('./helpers');
+
+experiment('Policy analysis unit tests', () => {
+
+    const policySet = {
+        target: { 'credentials:group': ['articles', 'reports'] },
+        apply: 'permit-overrides',
+        policies: [
+            {
+                target: [{ 'resource:owner': { field: 'credentials:user.id' } }, { 'resource:public': true }],
+                apply: 'deny-overrides',
+                rules: [
+                    {
+                        target: { 'request:ip': { $not: { $in: [{ field: 'env:blocked' }, '10.0.0.1'] } } },
+                        effect: 'permit'
+                    },
+                    {
+                        target: { username: { field: 'credentials:blocked-user' }, 'time:now': { $time: { from: '18:00' } } },
+                        effect: 'deny'
+                    }
+                ]
+            },
+            {
+                apply: 'first-applicable',
+                rules: [{ target: { 'resource:owner': 'admin' }, effect: 'permit' }]
+            }
+        ]
+    };
+
+    test('should list the keys of the targets and the referenced fields by source', () => {
+
+        expect(Rbac.analyzePolicy(policySet)).to.equal({
+            credentials: ['blocked-user', 'group', 'user.id', 'username'],
+            env: ['blocked'],
+            request: ['ip'],
+            resource: ['owner', 'public'],
+            time: ['now']
+        });
+    });
+
+    test('should analyze rules and compiled policies', () => {
+
+        expect(Rbac.analyzePolicy({ effect: 'permit' })).to.equal({});
+        expect(Rbac.analyzePolicy({ target: { 'time:hour': { $gte: 9 } }, effect: 'deny' })).to.equal({ time: ['hour'] });
+        expect(Rbac.analyzePolicy(Rbac.compilePolicy(policySet))).to.equal(Rbac.analyzePolicy(policySet));
+    });
+
+    test('should keep the escaped characters of the keys', () => {
+
+        const policy = { rules: [{ target: { 'http\\:headers:x\\.forwarded\\.for': '10.0.0.1' }, effect: 'permit' }] };
+
+        expect(Rbac.analyzePolicy(policy)).to.equal({ 'http:headers': ['x\\.forwarded\\.for'] });
+    });
+
+    test('should throw an error if the policy is not valid', () => {
+
+        expect(() => Rbac.analyzePolicy({ rules: [{ target: { 'credentials:group': 'admin' } }] })).to.throw(/RBAC configuration error: invalid policy/);
+        expect(() => Rbac.analyzePolicy(null)).to.throw(/RBAC configuration error: invalid policy/);
+    });
+
+    test('should parse keys', () => {
+
+        expect(DataRetrievalRouter.parseKey('credentials:user.name')).to.equal({ source: 'credentials', key: 'user.name', subkey: 'user', path: ['name'] });
+        expect(DataRetrievalRouter.parseKey('group')).to.equal({ source: 'credentials', key: 'group', subkey: 'group', path: [] });
+        expect(() => DataRetrievalRouter.parseKey('credentials:')).to.throw();
+    });
+});
+
+experiment('Policy prefetch unit tests', () => {
+
+    const policy = {
+        apply: 'first-applicable',
+        rules: [
+            { target: { 'profile:country': 'US' }, effect: 'deny' },
+            { target: { 'profile:department': 'engineering', 'profile:level': { $gte: { field: 'profile:minimum' } } }, effect: 'permit' }
+        ]
+    };
+
+    test('should retrieve the keys as they are needed without prefetch', async () => {
+
+        const retriever = Helpers.profileRetriever();
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', retriever, { batch: true });
+
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever, { context: { username: 'francisco' }, memoize: true })).to.equal(Rbac.UNDETERMINED);
+        expect(retriever.calls).to.equal([['country'], ['department', 'minimum', 'level']]);
+    });
+
+    test('should retrieve all the keys of the policy at once', async () => {
+
+        const retriever = Helpers.profileRetriever();
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', retriever, { batch: true });
+
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever, { context: { username: 'francisco' }, prefetch: true })).to.equal(Rbac.UNDETERMINED);
+        expect(retriever.calls).to.equal([['country', 'department', 'level', 'minimum']]);
+    });
+
+    test('should report the errors of the prefetched keys in the evaluation', async () => {
+
+        const retriever = Helpers.spy((key) => {
+
+            throw new Error('unavailable');
+        });
+
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', retriever);
+
+        const result = await Rbac.evaluatePolicy(policy, dataRetriever, { prefetch: true, trace: true });
+
+        expect(result.decision).to.equal(Rbac.INDETERMINATE);
+
+        const country = result.trace.children[0].target.elements[0].keys['profile:country'];
+        expect(country.indeterminate).to.be.true();
+        expect(country.error).to.be.an.error('unavailable');
+        expect(retriever.calls).to.equal(['country', 'department', 'level', 'minimum']); // the evaluation got the prefetched error
+    });
+
+    test('should report invalid keys in the evaluation', async () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+
+        await expect(Rbac.evaluatePolicy({ rules: [{ target: { 'profile:': 'US' }, effect: 'deny' }] }, dataRetriever, { prefetch: true })).to.reject(Error, /^RBAC configuration error: invalid key profile:/);
+    });
+});
@@ -0,0 +1,373 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Combinatory algorithm unit tests (first-applicable)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const policy = {
+        apply: 'first-applicable', // ordered, like a firewall
+        rules: [
+            {
+                target: { 'credentials:group': 'admin' },
+                effect: 'permit'
+            },
+            {
+                target: { 'credentials:blocked': true },
+                effect: 'deny'
+            },
+            {
+                target: { 'credentials:group': 'writer' },
+                effect: 'permit'
+            }
+        ]
+    };
+
+    test('should use the first applicable rule', async () => {
+
+        const information = {
+            group: ['admin'],
+            blocked: true
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, dataRetriever.createChild(information));
+        expect(result).to.equal(Rbac.PERMIT);
+    });
+
+    test('should skip undetermined rules', async () => {
+
+        const information = {
+            group: ['writer'],
+            blocked: true
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, dataRetriever.createChild(information));
+        expect(result).to.equal(Rbac.DENY);
+    });
+
+    test('should be undetermined when no rule applies', async () => {
+
+        const information = {
+            group: ['reader'],
+            blocked: false
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, dataRetriever.createChild(information));
+        expect(result).to.equal(Rbac.UNDETERMINED);
+    });
+
+    test('should not evaluate the rules after the first applicable', async () => {
+
+        const requested = [];
+        const spyRetriever = new DataRetrievalRouter();
+        spyRetriever.register('credentials', (source, key, context) => {
+
+            requested.push(key);
+            return context[key];
+        });
+
+        const information = {
+            group: ['admin'],
+            blocked: true
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, spyRetriever.createChild(information));
+        expect(result).to.equal(Rbac.PERMIT);
+        expect(requested).to.equal(['group']);
+    });
+});
+
+experiment('Combinatory algorithm unit tests (only-one-applicable)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const policySet = {
+        apply: 'only-one-applicable',
+        policies: [
+            {
+                target: { 'credentials:group': 'writer' },
+                apply: 'deny-overrides',
+                rules: [
+                    {
+                        target: { 'credentials:blocked': true },
+                        effect: 'deny'
+                    },
+                    {
+                        effect: 'permit'
+                    }
+                ]
+            },
+            {
+                target: { 'credentials:group': 'reader' },
+                rules: [
+                    {
+                        effect: 'deny'
+                    }
+                ]
+            }
+        ]
+    };
+
+    test('should use the only applicable policy', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['writer'], blocked: false }));
+        expect(result).to.equal(Rbac.PERMIT);
+
+        const result2 = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['reader'], blocked: false }));
+        expect(result2).to.equal(Rbac.DENY);
+    });
+
+    test('should be undetermined when no policy applies', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['publisher'], blocked: false }));
+        expect(result).to.equal(Rbac.UNDETERMINED);
+    });
+
+    test('should be indeterminate when more than one policy applies', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['writer', 'reader'], blocked: false }));
+        expect(result).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should evaluate the targets only once', async () => {
+
+        const calls = [];
+        const countingRetriever = new DataRetrievalRouter();
+        countingRetriever.register('credentials', (source, key, context) => {
+
+            calls.push(key);
+            return context[key];
+        });
+
+        const result = await Rbac.evaluatePolicy(policySet, countingRetriever.createChild({ group: ['writer'], blocked: false }), { trace: true });
+        expect(result.decision).to.equal(Rbac.PERMIT);
+        expect(calls.sort()).to.equal(['blocked', 'group', 'group']);
+
+        expect(result.trace.children).to.have.length(2);
+        expect(result.trace.children[0]).to.include({ index: 0, type: 'policy', decision: Rbac.PERMIT });
+        expect(result.trace.children[0].target.applies).to.be.true();
+        expect(result.trace.children[0].children).to.have.length(2);
+        expect(result.trace.children[1]).to.equal({ index: 1, target: result.trace.children[1].target });
+        expect(result.trace.children[1].target.applies).to.be.false();
+    });
+
+    test('should trace the applicable policies when more than one applies', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['writer', 'reader'], blocked: false }), { trace: true });
+        expect(result.decision).to.equal(Rbac.INDETERMINATE);
+        expect(result.trace.children.map((child) => child.target.applies)).to.equal([true, true]);
+        expect(result.trace.children.map((child) => child.decision)).to.equal([undefined, undefined]);
+    });
+});
+
+experiment('Combinatory algorithm unit tests (custom)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const rules = [
+        {
+            target: { 'credentials:group': 'writer' },
+            effect: 'permit'
+        },
+        {
+            target: { 'credentials:group': 'reader' },
+            effect: 'permit'
+        }
+    ];
+
+    test('should accept an async combinatory algorithm', async () => {
+
+        // Permit only when every rule permits
+        const policy = {
+            apply: async (items, information, fn) => {
+
+                const results = await Promise.all(items.map((item) => fn(item, information)));
+                return results.every((result) => result === Rbac.PERMIT) ? Rbac.PERMIT : Rbac.DENY;
+            },
+            rules
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['writer', 'reader'] }));
+        expect(result).to.equal(Rbac.PERMIT);
+
+        const result2 = await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['writer'] }));
+        expect(result2).to.equal(Rbac.DENY);
+    });
+
+    test('should accept a callback combinatory algorithm', async () => {
+
+        const policy = {
+            apply: (items, information, fn, callback) => fn(items[1], information, callback),
+            rules
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['reader'] }));
+        expect(result).to.equal(Rbac.PERMIT);
+    });
+
+    test('should have error when an async combinatory algorithm fails', async () => {
+
+        const policy = {
+            apply: (items, information, fn) => {
+
+                throw new Error('combinator failure');
+            },
+            rules
+        };
+
+        await expect(Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['reader'] }))).to.reject(Error, 'combinator failure');
+
+        const policy2 = {
+            apply: (items, information, fn) => Promise.reject(new Error('async combinator failure')),
+            rules
+        };
+
+        await expect(Rbac.evaluatePolicy(policy2, dataRetriever.createChild({ group: ['reader'] }))).to.reject(Error, 'async combinator failure');
+    });
+});
+
+experiment('Combinatory algorithm unit tests (overrides)', () => {
+
+    let requested;
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context, callback) => {
+
+        requested.push(key);
+
+        if (key === 'slow') {
+            // Never calls back
+            return;
+        }
+
+        setImmediate(() => callback(null, context[key]));
+    }, { override: true });
+
+    const rules = (effect) => [
+        {
+            target: { 'credentials:slow': true },
+            effect
+        },
+        {
+            target: { 'credentials:group': 'admin' },
+            effect
+        },
+        {
+            target: { 'credentials:group': 'writer' },
+            effect
+        }
+    ];
+
+    test('should permit without waiting for the remaining items (permit-overrides)', async () => {
+
+        requested = [];
+        const policy = { apply: 'permit-overrides', rules: rules('permit') };
+
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.equal(Rbac.PERMIT);
+        expect(requested).to.equal(['slow', 'group', 'group']);
+    });
+
+    test('should deny without waiting for the remaining items (deny-overrides)', async () => {
+
+        requested = [];
+        const policy = { apply: 'deny-overrides', rules: rules('deny') };
+
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['writer'] }))).to.equal(Rbac.DENY);
+    });
+
+    test('should wait for all items when none overrides', async () => {
+
+        const policy = {
+            apply: 'permit-overrides',
+            rules: [
+                { target: { 'credentials:group': 'admin' }, effect: 'permit' },
+                { target: { 'credentials:group': 'writer' }, effect: 'deny' }
+            ]
+        };
+
+        requested = [];
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['writer'] }))).to.equal(Rbac.DENY);
+        expect(requested).to.equal(['group', 'group']);
+
+        policy.apply = 'deny-overrides';
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.equal(Rbac.PERMIT);
+    });
+
+    test('should evaluate items in order (ordered-permit-overrides)', async () => {
+
+        const policy = {
+            apply: 'ordered-permit-overrides',
+            rules: rules('permit').slice(1).concat(rules('permit').slice(0, 1))
+        };
+
+        requested = [];
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.equal(Rbac.PERMIT);
+        expect(requested).to.equal(['group']);
+
+        requested = [];
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['writer'] }))).to.equal(Rbac.PERMIT);
+        expect(requested).to.equal(['group', 'group']);
+    });
+
+    test('should evaluate items in order (ordered-deny-overrides)', async () => {
+
+        const policy = {
+            apply: 'ordered-deny-overrides',
+            rules: [
+                { target: { 'credentials:group': 'admin' }, effect: 'deny' },
+                { target: { 'credentials:group': 'writer' }, effect: 'permit' }
+            ]
+        };
+
+        requested = [];
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['writer'] }))).to.equal(Rbac.PERMIT);
+        expect(requested).to.equal(['group', 'group']);
+
+        requested = [];
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.equal(Rbac.DENY);
+        expect(requested).to.equal(['group']);
+
+        policy.rules = [];
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.equal(Rbac.UNDETERMINED);
+    });
+
+    test('should have error when an item fails', async () => {
+
+        const policy = {
+            apply: 'permit-overrides',
+            rules: [
+                { target: { 'credentials:group': 'admin' }, effect: 'permit' },
+                { effect: 'something' }
+            ]
+        };
+
+        await expect(Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.reject();
+
+        policy.apply = 'ordered-permit-overrides';
+        policy.rules.reverse();
+        await expect(Rbac.evaluatePolicy(policy, dataRetriever.createChild({ group: ['admin'] }))).to.reject();
+    });
+});
@@ -3,6 +3,9 @@
 const Code = require('@hapi/code');
 const Lab = require('@hapi/lab');
 const DataRetrievalRouter = require('../').DataRetrievalRouter;
+const MemoryStore = require('../').MemoryStore;
+const Rbac = require('../');
+const Helpers = require('./helpers');
 
 const lab = exports.lab = Lab.script();
 const experiment = lab.experiment;
@@ -10,6 +13,9 @@ const test = lab.test;
 
 const expect = Code.expect;
 
+// Cache key of the values which do not depend on the context
+const sharedKey = (source, key) => key;
+
 /**
  * Rule based access control policy tests, based on username
  **/
@@ -220,3 +226,675 @@ experiment('RBAC internal modular information retrieval', () => {
         }
     });
 });
+
+experiment('RBAC internal modular information retrieval (memoization)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    let calls;
+
+    dataRetriever.register('credentials', (source, key, context, callback) => {
+
+        calls.push(key);
+        setImmediate(() => callback(null, context[key]));
+    });
+
+    dataRetriever.register('clock', (source, key, context) => {
+
+        calls.push(key);
+        return calls.length;
+    }, { memoize: false });
+
+    dataRetriever.register('failing', (source, key, context) => {
+
+        calls.push(key);
+        throw new Error('failure ' + calls.length);
+    });
+
+    test('should retrieve each key only once', async () => {
+
+        calls = [];
+        const memoized = dataRetriever.createChild({ username: 'francisco', group: ['writer'] }, { memoize: true });
+
+        const results = await Promise.all([
+            memoized.get('credentials:username'),
+            memoized.get('credentials:username'),
+            memoized.get('username'),
+            memoized.get('credentials:group')
+        ]);
+
+        expect(results).to.equal(['francisco', 'francisco', 'francisco', ['writer']]);
+        expect(await memoized.get('credentials:username')).to.equal('francisco');
+        expect(calls).to.equal(['username', 'group']);
+    });
+
+    test('should not memoize by default', async () => {
+
+        calls = [];
+        const child = dataRetriever.createChild({ username: 'francisco' });
+
+        await child.get('credentials:username');
+        await child.get('credentials:username');
+        expect(calls).to.equal(['username', 'username']);
+    });
+
+    test('should not memoize with a context override', async () => {
+
+        calls = [];
+        const memoized = dataRetriever.createChild({ username: 'francisco' }, { memoize: true });
+
+        expect(await memoized.get('credentials:username')).to.equal('francisco');
+        expect(await memoized.get('credentials:username', { username: 'the_overrider' })).to.equal('the_overrider');
+        expect(await memoized.get('credentials:username')).to.equal('francisco');
+        expect(calls).to.equal(['username', 'username']);
+    });
+
+    test('should not memoize sources registered with memoize false', async () => {
+
+        calls = [];
+        const memoized = dataRetriever.createChild({}, { memoize: true });
+
+        expect(await memoized.get('clock:now')).to.equal(1);
+        expect(await memoized.get('clock:now')).to.equal(2);
+    });
+
+    test('should not memoize errors', async () => {
+
+        calls = [];
+        const memoized = dataRetriever.createChild({}, { memoize: true });
+
+        await expect(memoized.get('failing:x')).to.reject(Error, 'failure 1');
+        await expect(memoized.get('failing:x')).to.reject(Error, 'failure 2');
+    });
+
+    test('should not allow invalid child options', () => {
+
+        expect(() => dataRetriever.createChild({}, { invalid: true })).to.throw();
+    });
+});
+
+experiment('RBAC internal modular information retrieval (keys)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    const requested = [];
+
+    dataRetriever.register(['credentials', 'ldap', 'my:source'], (source, key, context) => {
+
+        requested.push([source, key]);
+        return context[key];
+    });
+
+    const context = {
+        username: 'francisco',
+        profile: {
+            address: {
+                country: 'PT'
+            },
+            phones: ['+351 000 000 000']
+        },
+        'cn:admins': ['francisco'],
+        'first.name': 'Francisco',
+        'a\\b': 'backslash'
+    };
+
+    const child = dataRetriever.createChild(context);
+
+    test('should pass the key to the retriever', async () => {
+
+        requested.length = 0;
+        expect(await child.get('credentials:username')).to.equal('francisco');
+        expect(await child.get('username')).to.equal('francisco');
+        expect(requested).to.equal([['credentials', 'username'], ['credentials', 'username']]);
+    });
+
+    test('should pass multi-segment keys to the retriever', async () => {
+
+        requested.length = 0;
+        expect(await child.get('ldap:cn:admins')).to.equal(['francisco']);
+        expect(requested).to.equal([['ldap', 'cn:admins']]);
+    });
+
+    test('should obtain nested values', async () => {
+
+        requested.length = 0;
+        expect(await child.get('credentials:profile.address.country')).to.equal('PT');
+        expect(await child.get('profile.phones.0')).to.equal('+351 000 000 000');
+        expect(await child.get('credentials:profile.address.city')).to.not.exist();
+        expect(await child.get('credentials:inexistent.address')).to.not.exist();
+        expect(requested).to.equal([['credentials', 'profile'], ['credentials', 'profile'], ['credentials', 'profile'], ['credentials', 'inexistent']]);
+    });
+
+    test('should obtain nested values from parent retriever', async () => {
+
+        expect(await child.createChild().get('credentials:profile.address.country')).to.equal('PT');
+    });
+
+    test('should unescape keys', async () => {
+
+        requested.length = 0;
+        expect(await child.get('credentials:first\\.name')).to.equal('Francisco');
+        expect(await child.get('my\\:source:first\\.name')).to.equal('Francisco');
+        expect(await child.get('credentials:a\\\\b')).to.equal('backslash');
+        expect(requested).to.equal([['credentials', 'first.name'], ['my:source', 'first.name'], ['credentials', 'a\\b']]);
+    });
+
+    test('should memoize the values from the retriever', async () => {
+
+        requested.length = 0;
+        const memoized = dataRetriever.createChild(context, { memoize: true });
+
+        await Promise.all([
+            memoized.get('credentials:profile.address.country'),
+            memoized.get('credentials:profile.phones')
+        ]);
+        expect(requested).to.equal([['credentials', 'profile']]);
+    });
+
+    test('should reject invalid keys', async () => {
+
+        await expect(child.get('credentials:')).to.reject();
+        await expect(child.get(':username')).to.reject();
+        await expect(child.get('credentials:profile..country')).to.reject();
+    });
+});
+
+experiment('RBAC internal modular information retrieval (context)', () => {
+
+    const retriever = (source, key, context) => context[key];
+
+    test('should set and get the context', async () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('credentials', retriever);
+
+        expect(dataRetriever.getContext()).to.not.exist();
+
+        const context = { username: 'francisco' };
+        expect(dataRetriever.setContext(context)).to.shallow.equal(dataRetriever);
+        expect(dataRetriever.getContext()).to.shallow.equal(context);
+        expect(await dataRetriever.get('credentials:username')).to.equal('francisco');
+
+        dataRetriever.setContext({ username: 'other' });
+        expect(await dataRetriever.get('credentials:username')).to.equal('other');
+
+        dataRetriever.setContext(null);
+        expect(dataRetriever.getContext()).to.not.exist();
+    });
+
+    test('should merge the child context over the parent context', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ context: { username: 'francisco', group: ['reader'] } });
+        dataRetriever.register('credentials', retriever);
+
+        const child = dataRetriever.createChild({ group: ['writer'] });
+        const grandchild = child.createChild();
+
+        expect(child.getContext()).to.equal({ username: 'francisco', group: ['writer'] });
+        expect(grandchild.getContext()).to.equal({ username: 'francisco', group: ['writer'] });
+        expect(await grandchild.get('credentials:username')).to.equal('francisco');
+        expect(await grandchild.get('credentials:group')).to.equal(['writer']);
+        expect(await dataRetriever.get('credentials:group')).to.equal(['reader']);
+
+        // Changes to the parent context are seen by the children
+        dataRetriever.setContext({ username: 'other' });
+        expect(await child.get('credentials:username')).to.equal('other');
+    });
+
+    test('should discard memoized values when the context changes', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ context: { username: 'francisco' }, memoize: true });
+        dataRetriever.register('credentials', retriever);
+
+        expect(await dataRetriever.get('credentials:username')).to.equal('francisco');
+        dataRetriever.setContext({ username: 'other' });
+        expect(await dataRetriever.get('credentials:username')).to.equal('other');
+    });
+
+    test('should have error on invalid context', () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+        expect(() => dataRetriever.setContext('context')).to.throw();
+    });
+
+    test('should report an invalid evaluation context or roles through the callback', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ context: {} });
+        dataRetriever.register('credentials', retriever);
+
+        const policy = { target: { 'credentials:username': 'francisco' }, effect: 'permit' };
+        const evaluate = (options) => new Promise((resolve) => Rbac.evaluatePolicy(policy, dataRetriever, options, (err, result) => resolve({ err, result })));
+
+        expect((await evaluate({ context: 'x' })).err).to.be.an.error(/"context" must be of type object/);
+        expect((await evaluate({ roles: {} })).err).to.be.an.error(/"roles" must be an instance of "RoleHierarchy"/);
+        expect(await evaluate({ context: null, memoize: true })).to.equal({ err: null, result: Rbac.UNDETERMINED });
+        expect(await evaluate({ context: { username: 'francisco' } })).to.equal({ err: null, result: Rbac.PERMIT });
+    });
+});
+
+experiment('RBAC internal modular information retrieval (cache)', () => {
+
+    const createRetriever = (values) => Helpers.spy((key) => values[key]);
+
+    test('should keep values between evaluations', async () => {
+
+        const retriever = createRetriever({ admins: ['francisco'] });
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', retriever, { cache: { ttl: 60000, key: sharedKey } });
+
+        expect(await dataRetriever.createChild({}).get('ldap:admins')).to.equal(['francisco']);
+        expect(await dataRetriever.createChild({}).get('ldap:admins')).to.equal(['francisco']);
+        expect(await dataRetriever.get('ldap:admins.0')).to.equal('francisco');
+        expect(retriever.calls).to.equal(['admins']);
+    });
+
+    test('should share the call to the data retriever between concurrent requests', async () => {
+
+        const retriever = createRetriever({ admins: ['francisco'] });
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', retriever, { cache: { ttl: 60000, key: sharedKey } });
+
+        await Promise.all([dataRetriever.get('ldap:admins'), dataRetriever.createChild({}).get('ldap:admins')]);
+        expect(retriever.calls).to.equal(['admins']);
+    });
+
+    test('should expire values', async () => {
+
+        let now = 0;
+        const retriever = createRetriever({ admins: ['francisco'] });
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', retriever, { cache: { ttl: 1000, key: sharedKey, store: new MemoryStore({ now: () => now }) } });
+
+        await dataRetriever.get('ldap:admins');
+        now = 999;
+        await dataRetriever.get('ldap:admins');
+        expect(retriever.calls).to.equal(['admins']);
+
+        now = 1000;
+        await dataRetriever.get('ldap:admins');
+        expect(retriever.calls).to.equal(['admins', 'admins']);
+    });
+
+    test('should remove the least recently used values', async () => {
+
+        const retriever = createRetriever({ a: 1, b: 2, c: 3 });
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', retriever, { cache: { ttl: 60000, key: sharedKey, maxSize: 2 } });
+
+        await dataRetriever.get('ldap:a');
+        await dataRetriever.get('ldap:b');
+        await dataRetriever.get('ldap:a');
+        await dataRetriever.get('ldap:c'); // removes b
+        await dataRetriever.get('ldap:a');
+        await dataRetriever.get('ldap:b');
+        expect(retriever.calls).to.equal(['a', 'b', 'c', 'b']);
+    });
+
+    test('should only keep null values with negative option', async () => {
+
+        let now = 0;
+        const store = new MemoryStore({ now: () => now });
+        const retriever = createRetriever({});
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', retriever, { cache: { ttl: 60000, key: sharedKey } });
+        dataRetriever.register('negative', retriever, { cache: { ttl: 60000, key: sharedKey, negative: true } });
+        dataRetriever.register('short', retriever, { cache: { ttl: 60000, key: sharedKey, negative: 1000, store } });
+
+        await dataRetriever.get('ldap:a');
+        await dataRetriever.get('ldap:a');
+        expect(retriever.calls).to.equal(['a', 'a']);
+
+        retriever.calls.length = 0;
+        await dataRetriever.get('negative:a');
+        expect(await dataRetriever.get('negative:a')).to.not.exist();
+        expect(retriever.calls).to.equal(['a']);
+
+        retriever.calls.length = 0;
+        await dataRetriever.get('short:a');
+        now = 1000;
+        await dataRetriever.get('short:a');
+        expect(retriever.calls).to.equal(['a', 'a']);
+    });
+
+    test('should not keep errors', async () => {
+
+        let fail = true;
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', (source, key, context, callback) => {
+
+            callback(fail ? new Error('ldap is down') : null, 'value');
+        }, { cache: { ttl: 60000, key: sharedKey } });
+
+        await expect(dataRetriever.get('ldap:a')).to.reject(Error, 'ldap is down');
+        fail = false;
+        expect(await dataRetriever.get('ldap:a')).to.equal('value');
+    });
+
+    test('should use the key option for values which depend on the context', async () => {
+
+        const calls = [];
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', (source, key, context) => {
+
+            calls.push(context.username);
+            return context.username === 'francisco' ? ['admin'] : ['reader'];
+        }, { cache: { ttl: 60000, key: (source, key, context) => context.username + ':' + key } });
+
+        expect(await dataRetriever.createChild({ username: 'francisco' }).get('ldap:groups')).to.equal(['admin']);
+        expect(await dataRetriever.createChild({ username: 'john' }).get('ldap:groups')).to.equal(['reader']);
+        expect(await dataRetriever.createChild({ username: 'francisco' }).get('ldap:groups')).to.equal(['admin']);
+        expect(calls).to.equal(['francisco', 'john']);
+
+        await dataRetriever.invalidate('ldap', 'francisco:groups');
+        await dataRetriever.createChild({ username: 'francisco' }).get('ldap:groups');
+        await dataRetriever.createChild({ username: 'john' }).get('ldap:groups');
+        expect(calls).to.equal(['francisco', 'john', 'francisco']);
+    });
+
+    test('should invalidate values by source or key', async () => {
+
+        const retriever = createRetriever({ a: 1, b: 2 });
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register(['ldap', 'other'], retriever, { cache: { ttl: 60000, key: sharedKey } });
+        dataRetriever.register('credentials', retriever);
+
+        const child = dataRetriever.createChild({});
+        const getAll = () => Promise.all(['ldap:a', 'ldap:b', 'other:a'].map((key) => child.get(key)));
+
+        await getAll();
+        await child.invalidate('ldap', 'a');
+        await getAll();
+        expect(retriever.calls).to.equal(['a', 'b', 'a', 'a']);
+
+        retriever.calls.length = 0;
+        await child.invalidate('ldap');
+        await getAll();
+        expect(retriever.calls).to.equal(['a', 'b']);
+
+        await child.invalidate('credentials');
+        await child.invalidate('inexistent');
+        await expect(child.invalidate('')).to.reject();
+    });
+
+    test('should use a custom store', async () => {
+
+        const values = new Map();
+        const store = {
+            get: (source, key) => Promise.resolve(values.has(key) ? { value: values.get(key) } : undefined),
+            set: (source, key, value, ttl) => Promise.resolve(values.set(key, value)),
+            delete: (source, key) => values.delete(key),
+            clear: (source) => values.clear()
+        };
+
+        const retriever = createRetriever({ a: 1 });
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', retriever, { cache: { ttl: 60000, key: sharedKey, store } });
+
+        expect(await dataRetriever.get('ldap:a')).to.equal(1);
+        expect(await dataRetriever.get('ldap:a')).to.equal(1);
+        expect(values.get('a')).to.equal(1);
+        expect(retriever.calls).to.equal(['a']);
+
+        await dataRetriever.invalidate('ldap');
+        expect(values.size).to.equal(0);
+    });
+
+    test('should have error on invalid cache options', () => {
+
+        const retriever = createRetriever({});
+
+        expect(() => new DataRetrievalRouter().register('ldap', retriever, { cache: {} })).to.throw();
+        expect(() => new DataRetrievalRouter().register('ldap', retriever, { cache: { ttl: 1000 } })).to.throw(/"cache.key" is required/);
+        expect(() => new DataRetrievalRouter().register('ldap', retriever, { cache: { ttl: 1000, key: sharedKey, store: {} } })).to.throw();
+        expect(() => new DataRetrievalRouter().register('ldap', retriever, { cache: { ttl: 1000, key: sharedKey, maxSize: 10, store: new MemoryStore() } })).to.throw();
+        expect(() => new MemoryStore({ maxSize: 0 })).to.throw();
+    });
+});
+
+experiment('RBAC internal modular information retrieval (timeouts and errors)', () => {
+
+    const hung = (source, key, context, callback) => {};
+    const failing = (source, key, context, callback) => callback(new Error('ldap is down'));
+
+    test('should time out hung data retrievers', async () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', hung, { timeout: 10 });
+
+        const err = await expect(dataRetriever.get('ldap:groups')).to.reject(Error, 'RBAC data retriever timeout: ldap');
+        expect(err.output.statusCode).to.equal(504);
+        expect(DataRetrievalRouter.isFatal(err)).to.be.false();
+    });
+
+    test('should use the timeout of the router', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ timeout: 10 });
+        dataRetriever.register('ldap', hung);
+        dataRetriever.register('slow', (source, key, context) => new Promise((resolve) => setTimeout(() => resolve('value'), 20)), { timeout: 100 });
+
+        await expect(dataRetriever.createChild({}).get('ldap:groups')).to.reject(Error, 'RBAC data retriever timeout: ldap');
+        expect(await dataRetriever.get('slow:key')).to.equal('value');
+    });
+
+    test('should not time out fast data retrievers', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ timeout: 1000 });
+        dataRetriever.register('credentials', (source, key, context) => context[key]);
+        dataRetriever.register('ldap', failing);
+
+        expect(await dataRetriever.createChild({ username: 'francisco' }).get('credentials:username')).to.equal('francisco');
+        await expect(dataRetriever.get('ldap:groups')).to.reject(Error, 'ldap is down');
+    });
+
+    test('should return the fallback value', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ onError: 'fallback', fallback: [] });
+        dataRetriever.register('ldap', failing);
+        dataRetriever.register('slow', hung, { timeout: 10, fallback: ['guest'] });
+        dataRetriever.register('undefined', failing, { fallback: undefined });
+        dataRetriever.register('strict', failing, { onError: 'indeterminate' });
+
+        expect(await dataRetriever.get('ldap:groups')).to.equal([]);
+        expect(await dataRetriever.get('slow:groups')).to.equal(['guest']);
+        expect(await dataRetriever.get('undefined:groups')).to.not.exist();
+        await expect(dataRetriever.get('strict:groups')).to.reject(Error, 'ldap is down');
+    });
+
+    test('should not cache fallback values', async () => {
+
+        let fail = true;
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('ldap', (source, key, context, callback) => {
+
+            callback(fail ? new Error('ldap is down') : null, ['admin']);
+        }, { cache: { ttl: 60000, key: sharedKey, negative: true }, onError: 'fallback', fallback: null });
+
+        expect(await dataRetriever.get('ldap:groups')).to.equal(null);
+        fail = false;
+        expect(await dataRetriever.get('ldap:groups')).to.equal(['admin']);
+    });
+
+    test('should mark errors which fail the evaluations', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ onError: 'reject' });
+        dataRetriever.register('ldap', failing);
+        dataRetriever.register('other', (source, key, context) => {
+
+            throw 'not an error';
+        });
+
+        const err = await expect(dataRetriever.createChild({}).get('ldap:groups')).to.reject(Error, 'ldap is down');
+        expect(DataRetrievalRouter.isFatal(err)).to.be.true();
+
+        const other = await expect(dataRetriever.get('other:key')).to.reject(Error, 'not an error');
+        expect(DataRetrievalRouter.isFatal(other)).to.be.true();
+        expect(DataRetrievalRouter.isFatal('not an error')).to.be.false();
+    });
+
+    test('should have error on invalid options', () => {
+
+        expect(() => new DataRetrievalRouter({ timeout: 0 })).to.throw();
+        expect(() => new DataRetrievalRouter({ onError: 'ignore' })).to.throw();
+        expect(() => new DataRetrievalRouter().register('ldap', hung, { timeout: -1 })).to.throw();
+        expect(() => new DataRetrievalRouter().register('ldap', hung, { onError: 'ignore' })).to.throw();
+    });
+});
+
+experiment('RBAC internal modular information retrieval (batch)', () => {
+
+    const profiles = Helpers.profiles;
+    const createRetriever = Helpers.profileRetriever;
+
+    test('should retrieve the keys in a single call', async () => {
+
+        const retriever = createRetriever();
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', retriever, { batch: true });
+
+        const child = dataRetriever.createChild({ username: 'francisco' });
+        const values = await Promise.all([child.get('profile:country'), child.get('profile:department'), child.get('profile:country')]);
+
+        expect(values).to.equal(['PT', 'engineering', 'PT']);
+        expect(retriever.calls).to.equal([['country', 'department']]);
+    });
+
+    test('should retrieve the keys of different contexts in different calls', async () => {
+
+        const retriever = createRetriever();
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', retriever, { batch: true });
+
+        const francisco = dataRetriever.createChild({ username: 'francisco' });
+        const john = dataRetriever.createChild({ username: 'john' });
+
+        const values = await Promise.all([
+            francisco.get('profile:country'),
+            john.get('profile:country'),
+            francisco.get('profile:level'),
+            dataRetriever.get('profile:level', { username: 'john' })
+        ]);
+
+        expect(values).to.equal(['PT', 'US', 3, 2]);
+        expect(retriever.calls).to.equal([['country', 'level'], ['country'], ['level']]);
+    });
+
+    test('should retrieve the keys of a policy evaluation in a single call', async () => {
+
+        const retriever = createRetriever();
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', retriever, { batch: true });
+
+        const policy = {
+            apply: 'deny-overrides',
+            rules: [
+                { target: { 'profile:country': 'US' }, effect: 'deny' },
+                { target: { 'profile:department': 'engineering', 'profile:level': { $gte: 3 } }, effect: 'permit' }
+            ]
+        };
+
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever, { context: { username: 'francisco' }, memoize: true })).to.equal(Rbac.PERMIT);
+        expect(retriever.calls).to.equal([['country', 'department', 'level']]);
+    });
+
+    test('should accept values by key, and callbacks', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ context: { username: 'john' } });
+        dataRetriever.register('profile', (source, keys, context, callback) => {
+
+            const values = {};
+            keys.forEach((key) => {
+
+                values[key] = profiles[context.username][key];
+            });
+
+            callback(null, values);
+        }, { batch: true });
+
+        expect(await Promise.all([dataRetriever.get('profile:country'), dataRetriever.get('profile:inexistent')])).to.equal(['US', undefined]);
+    });
+
+    test('should batch the keys which are not cached', async () => {
+
+        const retriever = createRetriever();
+        const dataRetriever = new DataRetrievalRouter({ context: { username: 'francisco' } });
+        dataRetriever.register('profile', retriever, { batch: true, cache: { ttl: 60000, key: sharedKey } });
+
+        await dataRetriever.get('profile:country');
+        await Promise.all([dataRetriever.get('profile:country'), dataRetriever.get('profile:level'), dataRetriever.get('profile:department')]);
+        expect(retriever.calls).to.equal([['country'], ['level', 'department']]);
+    });
+
+    test('should reject all the keys on error', async () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('profile', (source, keys, context, callback) => callback(new Error('profile service is down')), { batch: true });
+        dataRetriever.register('invalid', (source, keys, context) => keys.slice(1), { batch: true });
+        dataRetriever.register('null', (source, keys, context) => null, { batch: true });
+
+        const results = await Promise.all([dataRetriever.get('profile:country'), dataRetriever.get('profile:level')].map((promise) => promise.catch((err) => err)));
+        expect(results[0]).to.be.an.error('profile service is down');
+        expect(results[1]).to.shallow.equal(results[0]);
+
+        await expect(dataRetriever.get('invalid:country')).to.reject(Error, 'RBAC data retriever error: invalid batch result from source invalid');
+        await expect(dataRetriever.get('null:country')).to.reject(Error, 'RBAC data retriever error: invalid batch result from source null');
+    });
+});
+
+experiment('RBAC internal modular information retrieval (unknown sources)', () => {
+
+    const policy = {
+        apply: 'deny-overrides',
+        rules: [
+            { target: { 'credentails:group': 'blocked' }, effect: 'deny' },
+            { target: { 'credentials:group': 'writer' }, effect: 'permit' }
+        ]
+    };
+
+    const createRouter = (options) => {
+
+        const dataRetriever = new DataRetrievalRouter(options);
+        dataRetriever.register('credentials', (source, key, context) => context[key]);
+
+        return dataRetriever;
+    };
+
+    test('should resolve null by default', async () => {
+
+        const dataRetriever = createRouter();
+
+        expect(await dataRetriever.get('credentails:group')).to.be.null();
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever, { context: { group: 'writer' } })).to.equal(Rbac.PERMIT);
+    });
+
+    test('should reject unknown sources in strict mode', async () => {
+
+        const dataRetriever = createRouter({ strict: true });
+        const child = dataRetriever.createChild({ group: 'writer' });
+
+        expect(await child.get('credentials:group')).to.equal('writer');
+
+        const err = await expect(child.get('credentails:group')).to.reject(Error, 'RBAC configuration error: unknown data source credentails');
+        expect(DataRetrievalRouter.isFatal(err)).to.be.true();
+
+        await expect(Rbac.evaluatePolicy(policy, dataRetriever, { context: { group: 'writer' } })).to.reject(Error, 'RBAC configuration error: unknown data source credentails');
+    });
+
+    test('should resolve sources of the parents in strict mode', async () => {
+
+        const parent = createRouter();
+        const child = new DataRetrievalRouter({ parent, context: { group: 'writer' }, strict: true });
+
+        expect(await child.get('credentials:group')).to.equal('writer');
+        await expect(child.get('env:HOME')).to.reject(Error, 'RBAC configuration error: unknown data source env');
+    });
+
+    test('should check if there is a data retriever for a source', () => {
+
+        const dataRetriever = createRouter();
+        const child = dataRetriever.createChild();
+        child.register('env', (source, key, context) => null);
+
+        expect(child.hasSource('credentials')).to.be.true();
+        expect(child.hasSource('env')).to.be.true();
+        expect(dataRetriever.hasSource('env')).to.be.false();
+        expect(() => dataRetriever.hasSource('')).to.throw();
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+// Shared by the test scripts, not a test script itself
+
+/**
+ * Profiles of the users in context.username, for batch data retrievers
+ **/
+exports.profiles = {
+    francisco: { country: 'PT', department: 'engineering', level: 3 },
+    john: { country: 'US', department: 'sales', level: 2 }
+};
+
+/**
+ * Create a data retriever recording the keys it is called with in retriever.calls
+ *
+ * @param retrieve - Function with signature (key, context) => value, where key is an array of keys for batch data retrievers
+ **/
+exports.spy = (retrieve) => {
+
+    const retriever = (source, key, context) => {
+
+        retriever.calls.push(key);
+        return retrieve(key, context);
+    };
+
+    retriever.calls = [];
+    return retriever;
+};
+
+/**
+ * Create a batch data retriever of the profile of the user in context, recording its calls (see spy)
+ **/
+exports.profileRetriever = () => exports.spy((keys, context) => keys.map((key) => exports.profiles[context.username][key]));
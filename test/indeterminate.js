@@ -0,0 +1,204 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Indeterminate decision unit tests', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+    dataRetriever.register('ldap', (source, key, context, callback) => {
+
+        callback(new Error('ldap is down'));
+    }, { override: true });
+
+    const evaluate = (item, information, options) => Rbac.evaluatePolicy(item, dataRetriever.createChild(information), options);
+
+    const ldapDeny = {
+        target: { 'ldap:blocked': true },
+        effect: 'deny'
+    };
+
+    const ldapPermit = {
+        target: { 'ldap:group': 'admin' },
+        effect: 'permit'
+    };
+
+    const writerPermit = {
+        target: { 'credentials:group': 'writer' },
+        effect: 'permit'
+    };
+
+    const writerDeny = {
+        target: { 'credentials:group': 'writer' },
+        effect: 'deny'
+    };
+
+    test('should distinguish not applicable from indeterminate', async () => {
+
+        expect(Rbac.NOT_APPLICABLE).to.equal(Rbac.UNDETERMINED);
+        expect(Rbac.INDETERMINATE).to.not.equal(Rbac.UNDETERMINED);
+
+        expect(await evaluate(writerPermit, { group: ['reader'] })).to.equal(Rbac.NOT_APPLICABLE);
+        expect(await evaluate(ldapPermit, {})).to.equal(Rbac.INDETERMINATE);
+        expect(await Rbac.evaluateRule(ldapPermit, dataRetriever.createChild({}))).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should apply when another target element applies', async () => {
+
+        const rule = {
+            target: [{ 'ldap:group': 'admin' }, { 'credentials:group': 'writer' }],
+            effect: 'permit'
+        };
+
+        expect(await evaluate(rule, { group: ['writer'] })).to.equal(Rbac.PERMIT);
+        expect(await evaluate(rule, { group: ['reader'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should not apply when another key in the same target element does not apply', async () => {
+
+        const rule = {
+            target: { 'ldap:group': 'admin', 'credentials:group': 'writer' },
+            effect: 'permit'
+        };
+
+        expect(await evaluate(rule, { group: ['reader'] })).to.equal(Rbac.NOT_APPLICABLE);
+        expect(await evaluate(rule, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should be indeterminate when a deny rule fails (deny-overrides)', async () => {
+
+        const policy = { apply: 'deny-overrides', rules: [ldapDeny, writerPermit] };
+
+        expect(await evaluate(policy, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+        expect(await evaluate({ apply: 'deny-overrides', rules: [ldapDeny, writerDeny] }, { group: ['writer'] })).to.equal(Rbac.DENY);
+        expect(await evaluate({ apply: 'ordered-deny-overrides', rules: [ldapDeny, writerPermit] }, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should ignore a failing permit rule (deny-overrides)', async () => {
+
+        const policy = { apply: 'deny-overrides', rules: [ldapPermit, writerPermit] };
+
+        expect(await evaluate(policy, { group: ['writer'] })).to.equal(Rbac.PERMIT);
+    });
+
+    test('should be indeterminate when a permit rule fails (permit-overrides)', async () => {
+
+        const policy = { apply: 'permit-overrides', rules: [ldapPermit, writerDeny] };
+
+        expect(await evaluate(policy, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+        expect(await evaluate({ apply: 'permit-overrides', rules: [ldapPermit, writerPermit] }, { group: ['writer'] })).to.equal(Rbac.PERMIT);
+        expect(await evaluate({ apply: 'permit-overrides', rules: [ldapDeny, writerDeny] }, { group: ['writer'] })).to.equal(Rbac.DENY);
+        expect(await evaluate({ apply: 'ordered-permit-overrides', rules: [ldapPermit, writerDeny] }, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should be indeterminate when a policy fails', async () => {
+
+        const policySet = {
+            apply: 'deny-overrides',
+            policies: [
+                { target: { 'ldap:group': 'admin' }, rules: [writerPermit] },
+                { rules: [writerPermit] }
+            ]
+        };
+
+        expect(await evaluate(policySet, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should stop at the first indeterminate item (first-applicable)', async () => {
+
+        const policy = { apply: 'first-applicable', rules: [ldapDeny, writerPermit] };
+
+        expect(await evaluate(policy, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should be indeterminate when a target fails (only-one-applicable)', async () => {
+
+        const policy = { apply: 'only-one-applicable', rules: [ldapDeny, writerPermit] };
+
+        expect(await evaluate(policy, { group: ['writer'] })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should be indeterminate when a field fails', async () => {
+
+        const rule = {
+            target: { 'credentials:username': { field: 'ldap:owner' } },
+            effect: 'permit'
+        };
+
+        expect(await evaluate(rule, { username: 'francisco' })).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should trace the data retriever error', async () => {
+
+        const result = await evaluate({ apply: 'deny-overrides', rules: [ldapDeny, writerPermit] }, { group: ['writer'] }, { trace: true });
+
+        expect(result.decision).to.equal(Rbac.INDETERMINATE);
+        expect(result.obligations).to.equal([]);
+
+        const rule = result.trace.children[0];
+        expect(rule.decision).to.equal(Rbac.INDETERMINATE);
+        expect(rule.target.applies).to.be.false();
+        expect(rule.target.indeterminate).to.be.true();
+        expect(rule.target.elements[0].indeterminate).to.be.true();
+
+        const key = rule.target.elements[0].keys['ldap:blocked'];
+        expect(key.indeterminate).to.be.true();
+        expect(key.error).to.be.an.error('ldap is down');
+    });
+
+    test('should reject evaluateTarget with the data retriever error', async () => {
+
+        await expect(Rbac.evaluateTarget({ 'ldap:group': 'admin' }, dataRetriever)).to.reject(Error, 'ldap is down');
+        expect(await Rbac.evaluateTarget([{ 'ldap:group': 'admin' }, { 'credentials:group': 'writer' }], dataRetriever.createChild({ group: ['writer'] }))).to.be.true();
+    });
+
+    test('should be indeterminate when a data retriever times out', async () => {
+
+        const slowRetriever = new DataRetrievalRouter();
+        slowRetriever.register('ldap', (source, key, context, callback) => {}, { timeout: 10 });
+
+        expect(await Rbac.evaluatePolicy(ldapPermit, slowRetriever)).to.equal(Rbac.INDETERMINATE);
+    });
+
+    test('should use the fallback value of a failing data retriever', async () => {
+
+        const fallbackRetriever = dataRetriever.createChild({ group: ['writer'] });
+        fallbackRetriever.register('ldap', (source, key, context, callback) => callback(new Error('ldap is down')), { onError: 'fallback', fallback: 'admin' });
+
+        expect(await Rbac.evaluatePolicy(ldapPermit, fallbackRetriever)).to.equal(Rbac.PERMIT);
+    });
+
+    test('should fail the evaluation when a data retriever rejects', async () => {
+
+        const rejectRetriever = dataRetriever.createChild({ group: ['writer'] });
+        rejectRetriever.register('ldap', (source, key, context, callback) => callback(new Error('ldap is down')), { onError: 'reject' });
+
+        await expect(Rbac.evaluatePolicy({ apply: 'deny-overrides', rules: [ldapDeny, writerPermit] }, rejectRetriever)).to.reject(Error, 'ldap is down');
+        await expect(Rbac.evaluatePolicy({ target: { 'credentials:group': { field: 'ldap:group' } }, effect: 'permit' }, rejectRetriever)).to.reject(Error, 'ldap is down');
+    });
+
+    test('should still have error on configuration errors', async () => {
+
+        await expect(evaluate({ target: { 'credentials:age': { $between: [1, 2] } }, effect: 'permit' }, { age: 1 })).to.reject(Error, 'RBAC target error: unknown operator $between');
+
+        for (const key of ['credentials:', ':group', 'credentials:profile.']) {
+            await expect(evaluate({ target: { [key]: 'admin' }, effect: 'permit' }, { group: 'admin' })).to.reject(Error, new RegExp('^RBAC configuration error: invalid key ' + key));
+        }
+
+        await expect(evaluate({ target: { 'credentials:group': { field: 'x:' } }, effect: 'permit' }, { group: 'admin' })).to.reject(Error, /^RBAC configuration error: invalid key x:/);
+        await expect(evaluate({ target: { 'credentials:group': { $in: [{ field: 5 }] } }, effect: 'permit' }, { group: 'admin' })).to.reject(Error, /^RBAC configuration error: invalid key 5/);
+    });
+});
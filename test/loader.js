@@ -0,0 +1,181 @@
+'use strict';
+
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Policy files loader unit tests', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const directories = [];
+
+    const createDirectory = (files) => {
+
+        const directory = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'rbac-policies-'));
+        directories.push(directory);
+
+        for (const name of Object.keys(files)) {
+            const file = Path.join(directory, name);
+            Fs.mkdirSync(Path.dirname(file), { recursive: true });
+            Fs.writeFileSync(file, files[name]);
+        }
+
+        return directory;
+    };
+
+    lab.after(() => {
+
+        for (const directory of directories) {
+            Fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    const files = {
+        'articles.yaml': [
+            'id: articles',
+            'apply: deny-overrides',
+            'policies:',
+            '  - $ref: blocked-users',
+            '  - $ref: billing-admins',
+            '  - target:',
+            '      credentials:group:',
+            '        $regex: "^articles:"',
+            '    rules:',
+            '      - effect: permit'
+        ].join('\n'),
+        'shared/blocked-users.yml': [
+            'apply: first-applicable',
+            'rules:',
+            '  - target: { "credentials:blocked": true }',
+            '    effect: deny'
+        ].join('\n'),
+        'shared/billing.json': JSON.stringify([
+            {
+                id: 'billing-admins',
+                target: { 'credentials:group': 'billing:admin' },
+                rules: [{ $ref: 'permit-all' }]
+            },
+            {
+                id: 'permit-all',
+                effect: 'permit'
+            }
+        ]),
+        'README.md': '# Not a policy'
+    };
+
+    test('should load and resolve the policies of a directory', async () => {
+
+        const policies = await Rbac.loadPolicyFiles(createDirectory(files));
+
+        expect(Object.keys(policies).sort()).to.equal(['articles', 'billing-admins', 'blocked-users', 'permit-all']);
+        expect(policies.articles.policies[0]).to.equal(policies['blocked-users']);
+        expect(policies['billing-admins'].rules[0]).to.equal(policies['permit-all']);
+        expect(policies.articles.policies[2].target['credentials:group']).to.equal(/^articles:/);
+
+        const evaluate = (information) => Rbac.evaluatePolicy(policies.articles, dataRetriever.createChild(information));
+
+        expect(await evaluate({ group: ['articles:writer'], blocked: false })).to.equal(Rbac.PERMIT);
+        expect(await evaluate({ group: ['billing:admin'], blocked: false })).to.equal(Rbac.PERMIT);
+        expect(await evaluate({ group: ['articles:writer'], blocked: true })).to.equal(Rbac.DENY);
+    });
+
+    test('should load with callback', async () => {
+
+        const directory = createDirectory(files);
+
+        await new Promise((resolve) => {
+
+            Rbac.loadPolicyFiles(directory, (err, policies) => {
+
+                expect(err).to.not.exist();
+                expect(policies.articles).to.exist();
+                resolve();
+            });
+        });
+    });
+
+    test('should check the sources of the policies', async () => {
+
+        const directory = createDirectory(files);
+
+        expect(await Rbac.loadPolicyFiles(directory, { dataRetriever })).to.exist();
+
+        const typo = createDirectory({ 'a.json': JSON.stringify({ policies: [{ $ref: 'b' }] }), 'b.yaml': 'target: { "credentails:group": admin }\neffect: permit' });
+
+        await expect(Rbac.loadPolicyFiles(typo, { dataRetriever })).to.reject(Error, 'RBAC configuration error: invalid policy. "target.credentails:group" has an unknown data source credentails (' + Path.join(typo, 'b.yaml') + ')');
+        await expect(Rbac.loadPolicyFiles(typo, { dataRetriever: {} })).to.reject();
+    });
+
+    test('should load unquoted dates of YAML files as strings', async () => {
+
+        const directory = createDirectory({
+            'expiration.yaml': [
+                'target:',
+                '  credentials:expires: 2026-12-31',
+                'effect: permit'
+            ].join('\n')
+        });
+
+        const policies = await Rbac.loadPolicyFiles(directory);
+
+        expect(policies.expiration.target).to.equal({ 'credentials:expires': '2026-12-31' });
+        expect(await Rbac.evaluatePolicy(policies.expiration, dataRetriever.createChild({ expires: '2026-12-31' }))).to.equal(Rbac.PERMIT);
+        expect(Rbac.loadPolicy(JSON.stringify(Rbac.serializePolicy(policies.expiration)))).to.equal(policies.expiration);
+    });
+
+    test('should have error on reference cycles', async () => {
+
+        const directory = createDirectory({
+            'a.json': JSON.stringify({ policies: [{ $ref: 'b' }] }),
+            'b.json': JSON.stringify({ policies: [{ $ref: 'c' }] }),
+            'c.json': JSON.stringify({ policies: [{ $ref: 'a' }] })
+        });
+
+        await expect(Rbac.loadPolicyFiles(directory)).to.reject(Error, 'RBAC configuration error: cycle in policy references: a -> b -> c -> a');
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.json': '{ "id": 1, "policies": [{ "$ref": 1 }] }' }))).to.reject(Error, 'RBAC configuration error: cycle in policy references: 1 -> 1');
+    });
+
+    test('should have error on unknown references', async () => {
+
+        const directory = createDirectory({ 'a.json': JSON.stringify({ policies: [{ $ref: 'b' }] }) });
+
+        await expect(Rbac.loadPolicyFiles(directory)).to.reject(Error, 'RBAC configuration error: unknown policy reference b in file ' + Path.join(directory, 'a.json'));
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.json': JSON.stringify({ policies: [{ $ref: 'constructor' }] }) }))).to.reject(Error, /unknown policy reference constructor/);
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.json': JSON.stringify({ policies: [{ $ref: 'a', id: 'x' }] }) }))).to.reject(Error, /policy reference a with other keys/);
+    });
+
+    test('should have error on duplicated or missing ids', async () => {
+
+        const directory = createDirectory({ 'a.json': JSON.stringify({ id: 'x', effect: 'permit' }), 'b.yaml': 'id: x\neffect: deny' });
+
+        await expect(Rbac.loadPolicyFiles(directory)).to.reject(Error, 'RBAC configuration error: duplicated policy id x in files ' + Path.join(directory, 'a.json') + ' and ' + Path.join(directory, 'b.yaml'));
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.json': JSON.stringify([{ effect: 'permit' }]) }))).to.reject(Error, /^RBAC configuration error: policy without id in file/);
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.json': '"policy"' }))).to.reject(Error, /^RBAC configuration error: policy without id in file/);
+    });
+
+    test('should have error on invalid files', async () => {
+
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.json': '{' }))).to.reject(Error, /^RBAC configuration error: invalid policy file/);
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.yaml': 'a: [' }))).to.reject(Error, /^RBAC configuration error: invalid policy file/);
+        await expect(Rbac.loadPolicyFiles(createDirectory({ 'a.yaml': 'effect: allow' }))).to.reject(Error, /^RBAC configuration error: invalid policy\. .*a\.yaml\)$/);
+        await expect(Rbac.loadPolicyFiles(Path.join(Os.tmpdir(), 'rbac-inexistent-directory'))).to.reject(Error, /ENOENT/);
+        await expect(Rbac.loadPolicyFiles()).to.reject();
+    });
+});
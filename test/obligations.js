@@ -0,0 +1,181 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Obligations and advice unit tests', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const policySet = {
+        apply: 'permit-overrides',
+        obligations: [{ id: 'audit', fulfillOn: 'deny' }],
+        policies: [
+            {
+                target: { 'credentials:group': 'hr' },
+                apply: 'deny-overrides',
+                obligations: ['log-access'],
+                advice: [{ id: 'show-banner', fulfillOn: 'permit' }],
+                rules: [
+                    {
+                        target: { 'credentials:blocked': true },
+                        effect: 'deny',
+                        obligations: [{ id: 'notify-security' }]
+                    },
+                    {
+                        target: { 'credentials:manager': false },
+                        effect: 'permit',
+                        obligations: [{ id: 'mask', fields: ['salary'] }]
+                    },
+                    {
+                        target: { 'credentials:manager': true },
+                        effect: 'permit',
+                        advice: ['manager-view']
+                    }
+                ]
+            },
+            {
+                target: { 'credentials:group': 'sales' },
+                rules: [
+                    {
+                        effect: 'permit',
+                        obligations: ['sales-obligation']
+                    }
+                ]
+            }
+        ]
+    };
+
+    test('should return the decision only by default', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['hr'], blocked: false, manager: false }));
+        expect(result).to.equal(Rbac.PERMIT);
+    });
+
+    test('should collect obligations and advice of the permitting items', async () => {
+
+        const information = {
+            group: ['hr'],
+            blocked: false,
+            manager: false
+        };
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild(information), { obligations: true });
+        expect(result).to.equal({
+            decision: Rbac.PERMIT,
+            obligations: ['log-access', { id: 'mask', fields: ['salary'] }],
+            advice: [{ id: 'show-banner', fulfillOn: 'permit' }]
+        });
+    });
+
+    test('should not collect obligations of items which did not contribute to the decision', async () => {
+
+        const information = {
+            group: ['hr'],
+            blocked: false,
+            manager: true
+        };
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild(information), { obligations: true });
+        expect(result.decision).to.equal(Rbac.PERMIT);
+        expect(result.obligations).to.equal(['log-access']);
+        expect(result.advice).to.equal([{ id: 'show-banner', fulfillOn: 'permit' }, 'manager-view']);
+    });
+
+    test('should collect obligations of the denying items', async () => {
+
+        const information = {
+            group: ['hr'],
+            blocked: true,
+            manager: false
+        };
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild(information), { obligations: true });
+        expect(result.decision).to.equal(Rbac.DENY);
+        expect(result.obligations).to.equal([{ id: 'audit', fulfillOn: 'deny' }, 'log-access', { id: 'notify-security' }]);
+        expect(result.advice).to.equal([]);
+    });
+
+    test('should not collect obligations on undetermined decision', async () => {
+
+        const rule = {
+            target: { 'credentials:group': 'hr' },
+            effect: 'permit',
+            obligations: ['log-access']
+        };
+
+        const result = await Rbac.evaluatePolicy(rule, dataRetriever.createChild({ group: ['sales'] }), { obligations: true });
+        expect(result).to.equal({ decision: Rbac.UNDETERMINED, obligations: [], advice: [] });
+    });
+
+    test('should collect obligations of the items evaluated after the decision', async () => {
+
+        const slowRetriever = new DataRetrievalRouter();
+        slowRetriever.register('credentials', (source, key, context) => context[key]);
+        slowRetriever.register('slow', (source, key, context) => new Promise((resolve) => setTimeout(() => resolve(context[key]), 20)));
+
+        const policy = {
+            apply: 'permit-overrides',
+            rules: [
+                { target: { 'slow:group': 'hr' }, effect: 'permit', obligations: ['mask-salary'] },
+                { target: { 'credentials:group': 'hr' }, effect: 'permit', obligations: ['audit'] }
+            ]
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, slowRetriever, { context: { group: 'hr' }, trace: true });
+        expect(result.decision).to.equal(Rbac.PERMIT);
+        expect(result.obligations).to.equal(['mask-salary', 'audit']);
+        expect(result.trace.children.map((child) => child.decision)).to.equal([Rbac.PERMIT, Rbac.PERMIT]);
+
+        const trace = JSON.stringify(result.trace);
+        await new Promise((resolve) => setTimeout(resolve, 40));
+        expect(JSON.stringify(result.trace)).to.equal(trace);
+
+        expect(await Rbac.evaluatePolicy(policy, slowRetriever, { context: { group: 'hr' } })).to.equal(Rbac.PERMIT);
+    });
+
+    test('should not wait for the items which can not result in the decision', async () => {
+
+        const hangingRetriever = new DataRetrievalRouter();
+        hangingRetriever.register('credentials', (source, key, context) => context[key]);
+        hangingRetriever.register('never', (source, key, context) => new Promise(() => {}));
+
+        const policy = {
+            apply: 'permit-overrides',
+            rules: [
+                { target: { 'never:blocked': true }, effect: 'deny', obligations: ['notify-security'] },
+                { target: { 'credentials:group': 'hr' }, effect: 'permit', obligations: ['audit'] }
+            ]
+        };
+
+        const result = await Rbac.evaluatePolicy(policy, hangingRetriever, { context: { group: 'hr' }, trace: true });
+        expect(result.decision).to.equal(Rbac.PERMIT);
+        expect(result.obligations).to.equal(['audit']);
+        expect(result.trace.children[0]).to.equal({ index: 0, skipped: true });
+        expect(result.trace.children[1].decision).to.equal(Rbac.PERMIT);
+
+        const obligations = await Rbac.evaluatePolicy({ apply: 'permit-overrides', policies: [policy] }, hangingRetriever, { context: { group: 'hr' }, obligations: true });
+        expect(obligations).to.equal({ decision: Rbac.PERMIT, obligations: ['audit'], advice: [] });
+    });
+
+    test('should return obligations with the trace', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['sales'] }), { trace: true });
+        expect(result.decision).to.equal(Rbac.PERMIT);
+        expect(result.obligations).to.equal(['sales-obligation']);
+        expect(result.trace.obligations).to.equal(['sales-obligation']);
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Permissions unit tests', () => {
+
+    const permissions = new Rbac.Permissions({
+        roles: {
+            viewer: ['articles:read'],
+            editor: [
+                'articles:edit',
+                { permission: 'articles:publish', target: { 'resource:author': { field: 'subject:id' } } }
+            ],
+            admin: ['articles:publish', 'articles:delete']
+        },
+        hierarchy: {
+            admin: ['editor'],
+            editor: ['viewer']
+        },
+        users: {
+            francisco: ['editor'],
+            john: 'admin'
+        }
+    });
+
+    test('should grant the permissions of the roles', async () => {
+
+        expect(await permissions.can('francisco', 'articles:edit')).to.be.true();
+        expect(await permissions.can('francisco', 'articles:delete')).to.be.false();
+        expect(await permissions.can('john', 'articles:delete')).to.be.true();
+        expect(await permissions.can({ id: 'other', roles: ['viewer'] }, 'articles:read')).to.be.true();
+        expect(await permissions.can({ id: 'other', roles: ['viewer'] }, 'articles:edit')).to.be.false();
+        expect(await permissions.can({ roles: 'viewer' }, 'articles:read')).to.be.true();
+    });
+
+    test('should grant the permissions of the inherited roles', async () => {
+
+        expect(await permissions.can('francisco', 'articles:read')).to.be.true();
+        expect(await permissions.can('john', 'articles:read')).to.be.true();
+        expect(await permissions.can('john', 'articles:edit')).to.be.true();
+    });
+
+    test('should deny unknown users, roles and permissions', async () => {
+
+        expect(await permissions.can('unknown', 'articles:read')).to.be.false();
+        expect(await permissions.can('constructor', 'articles:read')).to.be.false();
+        expect(await permissions.can({ roles: ['guest'] }, 'articles:read')).to.be.false();
+        expect(await permissions.can('john', 'articles:archive')).to.be.false();
+    });
+
+    test('should grant conditional permissions over resources', async () => {
+
+        expect(await permissions.can('francisco', 'articles:publish', { author: 'francisco' })).to.be.true();
+        expect(await permissions.can('francisco', 'articles:publish', { author: 'john' })).to.be.false();
+        expect(await permissions.can('francisco', 'articles:publish')).to.be.false();
+        expect(await permissions.can('john', 'articles:publish', { author: 'francisco' })).to.be.true();
+    });
+
+    test('should grant permissions with wildcards', async () => {
+
+        const wildcardPermissions = new Rbac.Permissions({
+            roles: {
+                admin: ['articles:*'],
+                auditor: ['*:read', 'reports/**']
+            }
+        });
+
+        expect(await wildcardPermissions.can({ roles: ['admin'] }, 'articles:publish')).to.be.true();
+        expect(await wildcardPermissions.can({ roles: ['admin'] }, 'reports:publish')).to.be.false();
+        expect(await wildcardPermissions.can({ roles: ['auditor'] }, 'articles:read')).to.be.true();
+        expect(await wildcardPermissions.can({ roles: ['auditor'] }, 'reports/2022/q1')).to.be.true();
+        expect(await wildcardPermissions.can({ roles: ['auditor'] }, 'articles:edit')).to.be.false();
+    });
+
+    test('should use callbacks', async () => {
+
+        await new Promise((resolve) => {
+
+            permissions.can('francisco', 'articles:edit', (err, allowed) => {
+
+                expect(err).to.not.exist();
+                expect(allowed).to.be.true();
+                resolve();
+            });
+        });
+    });
+
+    test('should use other data retrievers in conditions', async () => {
+
+        const create = (now) => {
+
+            const dataRetriever = new DataRetrievalRouter();
+            dataRetriever.register('time', Rbac.Retrievers.time({ timeZone: 'UTC', now: () => new Date(now) }));
+
+            return new Rbac.Permissions({
+                roles: {
+                    contractor: [{ permission: 'articles:edit', target: [{ 'time:hour': { $gte: 8, $lt: 18 } }, { 'resource:urgent': true }] }]
+                }
+            }, { dataRetriever });
+        };
+
+        expect(await create('2022-03-28T10:00:00Z').can({ roles: ['contractor'] }, 'articles:edit')).to.be.true();
+        expect(await create('2022-03-28T20:00:00Z').can({ roles: ['contractor'] }, 'articles:edit')).to.be.false();
+        expect(await create('2022-03-28T20:00:00Z').can({ roles: ['contractor'] }, 'articles:edit', { urgent: true })).to.be.true();
+    });
+
+    test('should have error on invalid definition', () => {
+
+        expect(() => new Rbac.Permissions()).to.throw();
+        expect(() => new Rbac.Permissions({ roles: { editor: [{ target: {} }] } })).to.throw();
+        expect(() => new Rbac.Permissions({ roles: { editor: ['articles:edit'] } }, { dataRetriever: {} })).to.throw();
+        expect(() => new Rbac.Permissions({ roles: { editor: ['articles:edit'] }, hierarchy: { editor: ['editor'] } })).to.throw(Error, /cycle in role hierarchy/);
+        expect(() => new Rbac.Permissions({ roles: { editor: [{ permission: 'articles:edit', target: { 'resource:author': { $between: [1, 2] } } }] } })).to.throw(Error, /^RBAC configuration error: invalid policy/);
+    });
+});
@@ -236,4 +236,94 @@ experiment('Policy set unit tests', () => {
         });
     });
 
+    test('should return a promise without callback', async () => {
+
+        const information = {
+            username: 'user00001',
+            group: ['writer'],
+            premium: true,
+            blocked: false
+        };
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild(information));
+        expect(result).to.equal(Rbac.PERMIT);
+    });
+
+    test('should reject the promise on error', async () => {
+
+        await expect(Rbac.evaluatePolicy(null, dataRetriever)).to.reject();
+    });
+
+    test('should not change the evaluated policy', async () => {
+
+        const information = {
+            username: 'special_user',
+            group: ['publisher'],
+            premium: false,
+            blocked: false
+        };
+
+        const policy = JSON.parse(JSON.stringify(policySet));
+        const frozen = JSON.parse(JSON.stringify(policySet), (key, value) => Object.freeze(value));
+        delete policy.apply;
+
+        expect(await Rbac.evaluatePolicy(policy, dataRetriever.createChild(information))).to.equal(Rbac.PERMIT);
+        expect(await Rbac.evaluatePolicy(frozen, dataRetriever.createChild(information))).to.equal(Rbac.PERMIT);
+        expect(await Rbac.evaluatePolicy(frozen, dataRetriever.createChild(information))).to.equal(Rbac.PERMIT);
+
+        expect(policy.apply).to.not.exist();
+        expect(policy.policies[0].apply).to.equal('deny-overrides');
+        expect(JSON.stringify(frozen)).to.equal(JSON.stringify(policySet));
+    });
+
+    test('should retrieve each key once with memoize option', async () => {
+
+        const requested = [];
+        const spyRetriever = new DataRetrievalRouter();
+        spyRetriever.register('credentials', (source, key, context) => {
+
+            requested.push(key);
+            return context[key];
+        });
+
+        const information = {
+            username: 'user00001',
+            group: ['writer'],
+            premium: true,
+            blocked: false
+        };
+
+        const child = spyRetriever.createChild(information);
+
+        expect(await Rbac.evaluatePolicy(policySet, child, { memoize: true })).to.equal(Rbac.PERMIT);
+        expect(requested.sort()).to.equal(['blocked', 'group', 'premium', 'username']);
+
+        requested.length = 0;
+        expect(await Rbac.evaluatePolicy(policySet, child)).to.equal(Rbac.PERMIT);
+        expect(requested.length).to.be.above(4);
+    });
+
+    test('should evaluate with the context option on a shared data retriever', async () => {
+
+        const shared = new DataRetrievalRouter({ context: { premium: true, blocked: false } });
+        shared.register('credentials', (source, key, context) => {
+
+            return context[key];
+        });
+
+        const [permit, deny] = await Promise.all([
+            Rbac.evaluatePolicy(policySet, shared, { context: { username: 'user00001', group: ['writer'] } }),
+            Rbac.evaluatePolicy(policySet, shared, { context: { username: 'user00002', group: ['writer'], blocked: true }, memoize: true })
+        ]);
+
+        expect(permit).to.equal(Rbac.PERMIT);
+        expect(deny).to.equal(Rbac.DENY);
+        expect(shared.getContext()).to.equal({ premium: true, blocked: false });
+    });
+
+    test('should have error on inherited property as combinatory algorithm', async () => {
+
+        await expect(Rbac.evaluatePolicy({ apply: 'toString', rules: [] }, dataRetriever)).to.reject(Error, 'RBAC error: combinatory algorithm does not exist: toString');
+    });
+
 });
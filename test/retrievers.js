@@ -0,0 +1,137 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+const Retrievers = Rbac.Retrievers;
+
+experiment('Built-in data retrievers unit tests', () => {
+
+    const context = {
+        auth: {
+            credentials: {
+                username: 'francisco',
+                group: ['writer'],
+                profile: { country: 'PT' }
+            }
+        },
+        connection: {
+            remoteip: '192.168.0.123'
+        }
+    };
+
+    test('should read keys from a context property', async () => {
+
+        const dataRetriever = new DataRetrievalRouter({ context });
+        dataRetriever.registerAll({
+            credentials: Retrievers.context('auth.credentials'),
+            connection: Retrievers.context('connection'),
+            request: Retrievers.context()
+        });
+
+        expect(await dataRetriever.get('credentials:username')).to.equal('francisco');
+        expect(await dataRetriever.get('credentials:profile.country')).to.equal('PT');
+        expect(await dataRetriever.get('connection:remoteip')).to.equal('192.168.0.123');
+        expect(await dataRetriever.get('request:connection.remoteip')).to.equal('192.168.0.123');
+        expect(await dataRetriever.get('credentials:inexistent')).to.not.exist();
+        expect(await dataRetriever.createChild({ auth: {} }).get('credentials:username')).to.not.exist();
+        expect(await new DataRetrievalRouter().register('credentials', Retrievers.context('auth.credentials')).get('credentials:username')).to.not.exist();
+    });
+
+    test('should read keys from the environment', async () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.registerAll({
+            env: Retrievers.env(),
+            app: Retrievers.env({ prefix: 'APP_', env: { APP_LIMIT: '10' } })
+        });
+
+        expect(await dataRetriever.get('env:PATH')).to.equal(process.env.PATH);
+        expect(await dataRetriever.get('app:LIMIT')).to.equal('10');
+        expect(await dataRetriever.get('app:PATH')).to.not.exist();
+    });
+
+    test('should read the time and date', async () => {
+
+        const now = new Date('2022-03-27T23:30:00.000Z'); // Sunday in UTC, Monday in Tokyo
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.registerAll({
+            time: Retrievers.time({ timeZone: 'UTC', now: () => now }),
+            tokyo: Retrievers.time({ timeZone: 'Asia/Tokyo', now: () => now.getTime() })
+        });
+
+        expect(await dataRetriever.get('time:now')).to.equal(now);
+        expect(await dataRetriever.get('time:timestamp')).to.equal(now.getTime());
+        expect(await dataRetriever.get('time:hour')).to.equal(23);
+        expect(await dataRetriever.get('time:minute')).to.equal(30);
+        expect(await dataRetriever.get('time:weekday')).to.equal(0);
+        expect(await dataRetriever.get('time:date')).to.equal('2022-03-27');
+        expect(await dataRetriever.get('tokyo:hour')).to.equal(8);
+        expect(await dataRetriever.get('tokyo:weekday')).to.equal(1);
+        expect(await dataRetriever.get('tokyo:date')).to.equal('2022-03-28');
+        expect(await dataRetriever.get('time:inexistent')).to.not.exist();
+    });
+
+    test('should read the current time by default', async () => {
+
+        const dataRetriever = new DataRetrievalRouter().register('time', Retrievers.time());
+
+        const before = Date.now();
+        const timestamp = await dataRetriever.get('time:timestamp');
+
+        expect(timestamp).to.be.within(before, Date.now());
+        expect(await dataRetriever.get('time:hour')).to.be.within(0, 23);
+    });
+
+    test('should read keys from a static object', async () => {
+
+        const dataRetriever = new DataRetrievalRouter().registerAll({
+            config: Retrievers.static({ maxUploads: 10, limits: { size: 1024 } })
+        });
+
+        expect(await dataRetriever.get('config:maxUploads')).to.equal(10);
+        expect(await dataRetriever.get('config:limits.size')).to.equal(1024);
+        expect(await dataRetriever.get('config:inexistent')).to.not.exist();
+    });
+
+    test('should evaluate policies with built-in data retrievers', async () => {
+
+        const dataRetriever = new DataRetrievalRouter().registerAll({
+            credentials: Retrievers.context('auth.credentials'),
+            config: Retrievers.static({ country: 'PT' })
+        });
+
+        const rule = {
+            target: { 'credentials:group': 'writer', 'credentials:profile.country': { field: 'config:country' } },
+            effect: 'permit'
+        };
+
+        expect(await Rbac.evaluatePolicy(rule, dataRetriever, { context })).to.equal(Rbac.PERMIT);
+    });
+
+    test('should have error on invalid options', () => {
+
+        expect(() => Retrievers.context(1)).to.throw();
+        expect(() => Retrievers.env({ unknown: true })).to.throw();
+        expect(() => Retrievers.time({ now: new Date() })).to.throw();
+        expect(() => Retrievers.time({ timeZone: 'Nowhere/Invalid' })).to.throw();
+        expect(() => Retrievers.static()).to.throw();
+        expect(() => new DataRetrievalRouter().registerAll({ credentials: 'retriever' })).to.throw();
+    });
+
+    test('should have error on repeated registration', () => {
+
+        const dataRetriever = new DataRetrievalRouter().register('credentials', Retrievers.context());
+
+        expect(() => dataRetriever.registerAll({ credentials: Retrievers.context() })).to.throw(Error, 'There is a data retriever already registered for the source: credentials');
+        expect(() => dataRetriever.registerAll({ credentials: Retrievers.context() }, { override: true })).to.not.throw();
+    });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+const RoleHierarchy = Rbac.RoleHierarchy;
+
+experiment('Role hierarchy unit tests', () => {
+
+    const roles = new RoleHierarchy({
+        admin: ['editor', 'auditor'],
+        editor: 'viewer',
+        auditor: ['viewer'],
+        viewer: []
+    });
+
+    test('should expand roles with the inherited roles', () => {
+
+        expect(roles.expand('admin')).to.equal(['admin', 'editor', 'viewer', 'auditor']);
+        expect(roles.expand(['editor', 'auditor'])).to.equal(['editor', 'viewer', 'auditor']);
+        expect(roles.expand(['viewer', 'guest'])).to.equal(['viewer', 'guest']);
+        expect(roles.expand(['constructor'])).to.equal(['constructor']);
+        expect(roles.expand([])).to.equal([]);
+    });
+
+    test('should check if a role inherits another', () => {
+
+        expect(roles.inherits('admin', 'viewer')).to.be.true();
+        expect(roles.inherits('admin', 'admin')).to.be.true();
+        expect(roles.inherits('viewer', 'admin')).to.be.false();
+        expect(roles.inherits('guest', 'viewer')).to.be.false();
+    });
+
+    test('should allow inherited roles which are not defined', () => {
+
+        expect(new RoleHierarchy({ admin: ['superuser'] }).expand('admin')).to.equal(['admin', 'superuser']);
+    });
+
+    test('should have error on cycles', () => {
+
+        expect(() => new RoleHierarchy({ admin: ['admin'] })).to.throw(Error, 'RBAC configuration error: cycle in role hierarchy: admin -> admin');
+        expect(() => new RoleHierarchy({ admin: ['editor'], editor: ['viewer'], viewer: ['admin'] })).to.throw(Error, 'RBAC configuration error: cycle in role hierarchy: admin -> editor -> viewer -> admin');
+        expect(() => new RoleHierarchy({ viewer: [], editor: ['viewer', 'writer'], writer: ['editor'] })).to.throw(Error, 'RBAC configuration error: cycle in role hierarchy: editor -> writer -> editor');
+    });
+
+    test('should have error on invalid hierarchy', () => {
+
+        expect(() => new RoleHierarchy()).to.throw();
+        expect(() => new RoleHierarchy({ admin: [1] })).to.throw();
+        expect(() => new RoleHierarchy({}, { keys: [] })).to.throw();
+        expect(() => new DataRetrievalRouter({ roles: { keys: ['credentials:group'] } })).to.throw();
+    });
+});
+
+experiment('Role hierarchy evaluation unit tests', () => {
+
+    const roles = new RoleHierarchy({
+        admin: ['editor'],
+        editor: ['viewer']
+    });
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    });
+
+    const editorRule = {
+        target: { 'credentials:group': 'editor' },
+        effect: 'permit'
+    };
+
+    test('should match inherited roles with the roles option', async () => {
+
+        expect(await Rbac.evaluatePolicy(editorRule, dataRetriever, { context: { group: ['admin'] }, roles })).to.equal(Rbac.PERMIT);
+        expect(await Rbac.evaluatePolicy(editorRule, dataRetriever, { context: { group: 'editor' }, roles })).to.equal(Rbac.PERMIT);
+        expect(await Rbac.evaluatePolicy(editorRule, dataRetriever, { context: { group: ['viewer'] }, roles })).to.equal(Rbac.UNDETERMINED);
+        expect(await Rbac.evaluatePolicy(editorRule, dataRetriever, { context: { group: ['admin'] } })).to.equal(Rbac.UNDETERMINED);
+        expect(await Rbac.evaluatePolicy(editorRule, dataRetriever, { context: {}, roles })).to.equal(Rbac.UNDETERMINED);
+    });
+
+    test('should match inherited roles with data retriever routers', async () => {
+
+        const router = new DataRetrievalRouter({ roles });
+        router.register('credentials', (source, key, context) => {
+
+            return context[key];
+        });
+
+        const child = router.createChild({ group: ['admin'] });
+
+        expect(await child.get('credentials:group')).to.equal(['admin', 'editor', 'viewer']);
+        expect(await child.get('group')).to.equal(['admin', 'editor', 'viewer']);
+        expect(await child.createChild(undefined, { memoize: true }).get('credentials:group')).to.equal(['admin', 'editor', 'viewer']);
+        expect(await Rbac.evaluateRule(editorRule, child)).to.equal(Rbac.PERMIT);
+        expect(await dataRetriever.createChild({ group: ['admin'] }, { roles }).get('credentials:group')).to.equal(['admin', 'editor', 'viewer']);
+    });
+
+    test('should expand the configured keys', async () => {
+
+        const ldapRoles = new RoleHierarchy({ admin: ['editor'] }, { keys: ['ldap:memberOf', 'credentials:profile.role'] });
+
+        const router = new DataRetrievalRouter({ roles: ldapRoles, context: { memberOf: ['admin'], group: ['admin'], profile: { role: 'admin' } } });
+        router.register(['credentials', 'ldap'], (source, key, context) => {
+
+            return context[key];
+        });
+
+        expect(await router.get('ldap:memberOf')).to.equal(['admin', 'editor']);
+        expect(await router.get('credentials:profile.role')).to.equal(['admin', 'editor']);
+        expect(await router.get('credentials:group')).to.equal(['admin']);
+    });
+
+    test('should match inherited roles in field values', async () => {
+
+        const rule = {
+            target: { 'credentials:group': { field: 'credentials:required-group' } },
+            effect: 'permit'
+        };
+
+        expect(await Rbac.evaluatePolicy(rule, dataRetriever, { context: { group: ['admin'], 'required-group': 'viewer' }, roles })).to.equal(Rbac.PERMIT);
+    });
+});
@@ -204,4 +204,22 @@ experiment('Rule unit tests', () => {
 
         });
     });
+
+    test('should return a promise without callback', async () => {
+
+        const rule = {
+            target: { 'credentials:group': 'administrator' },
+            effect: 'deny'
+        };
+
+        dataRetriever.register('credentials', (source, key, context) => {
+
+            return context[key];
+        });
+
+        const result = await Rbac.evaluateRule(rule, dataRetriever.createChild({ group: ['administrator'] }));
+        expect(result).to.equal(Rbac.DENY);
+
+        await expect(Rbac.evaluateRule(null, dataRetriever)).to.reject();
+    });
 });
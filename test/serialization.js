@@ -0,0 +1,118 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Policy serialization unit tests', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const policySet = {
+        id: 'articles',
+        target: [{ 'credentials:group': /^articles:/i }, { 'credentials:group': { $in: [/^reports:/, 'publisher'] } }],
+        apply: 'permit-overrides',
+        policies: [
+            {
+                apply: 'deny-overrides',
+                obligations: [{ id: 'audit', fulfillOn: 'deny' }],
+                rules: [
+                    {
+                        target: { 'credentials:username': { field: 'credentials:blocked-user' } },
+                        effect: 'deny'
+                    },
+                    {
+                        target: { 'credentials:group': { $not: /:guest$/ } },
+                        effect: 'permit'
+                    }
+                ]
+            }
+        ]
+    };
+
+    const json = {
+        id: 'articles',
+        target: [{ 'credentials:group': { $regex: '^articles:', flags: 'i' } }, { 'credentials:group': { $in: [{ $regex: '^reports:' }, 'publisher'] } }],
+        apply: 'permit-overrides',
+        policies: [
+            {
+                apply: 'deny-overrides',
+                obligations: [{ id: 'audit', fulfillOn: 'deny' }],
+                rules: [
+                    {
+                        target: { 'credentials:username': { field: 'credentials:blocked-user' } },
+                        effect: 'deny'
+                    },
+                    {
+                        target: { 'credentials:group': { $not: { $regex: ':guest$' } } },
+                        effect: 'permit'
+                    }
+                ]
+            }
+        ]
+    };
+
+    test('should serialize a policy to JSON', () => {
+
+        expect(Rbac.serializePolicy(policySet)).to.equal(json);
+        expect(JSON.parse(JSON.stringify(Rbac.serializePolicy(policySet)))).to.equal(json);
+        expect(policySet.target[0]['credentials:group']).to.be.an.instanceof(RegExp);
+    });
+
+    test('should load a policy from JSON', () => {
+
+        expect(Rbac.loadPolicy(json)).to.equal(policySet);
+        expect(Rbac.loadPolicy(JSON.stringify(json))).to.equal(policySet);
+        expect(json.target[0]['credentials:group']).to.equal({ $regex: '^articles:', flags: 'i' });
+    });
+
+    test('should round-trip policies', async () => {
+
+        const loaded = Rbac.loadPolicy(JSON.stringify(Rbac.serializePolicy(policySet)));
+
+        expect(loaded).to.equal(policySet);
+        expect(await Rbac.evaluatePolicy(loaded, dataRetriever.createChild({ group: ['ARTICLES:writer'], username: 'francisco' }))).to.equal(Rbac.PERMIT);
+        expect(await Rbac.evaluatePolicy(loaded, dataRetriever.createChild({ group: ['reports:writer'], username: 'francisco', 'blocked-user': 'francisco' }))).to.equal(Rbac.DENY);
+        expect(Rbac.loadPolicy(Rbac.serializePolicy({ effect: 'permit' }))).to.equal({ effect: 'permit' });
+    });
+
+    test('should serialize compiled policies', () => {
+
+        const serialized = Rbac.serializePolicy(Rbac.compilePolicy({ rules: [{ effect: 'permit' }] }));
+
+        expect(serialized).to.equal({ rules: [{ effect: 'permit' }], apply: 'permit-overrides' });
+
+        const rule = { target: { 'credentials:group': /^articles:/i }, effect: 'permit' };
+
+        expect(Rbac.serializePolicy(Rbac.compilePolicy(rule))).to.equal({ target: { 'credentials:group': { $regex: '^articles:', flags: 'i' } }, effect: 'permit' });
+        expect(Rbac.analyzePolicy(Rbac.compilePolicy(rule))).to.equal({ credentials: ['group'] });
+    });
+
+    test('should have error on custom combinatory algorithms', () => {
+
+        expect(() => Rbac.serializePolicy({ apply: (items, information, fn, callback) => callback(null, Rbac.DENY), rules: [] })).to.throw(Error, 'RBAC configuration error: custom combinatory algorithms can not be serialized');
+    });
+
+    test('should have error on invalid policies', () => {
+
+        expect(() => Rbac.serializePolicy({ effect: 'allow' })).to.throw(Error, /^RBAC configuration error: invalid policy/);
+        expect(() => Rbac.loadPolicy({ effect: 'allow' })).to.throw(Error, /^RBAC configuration error: invalid policy/);
+        expect(() => Rbac.loadPolicy(null)).to.throw(Error, /^RBAC configuration error: invalid policy/);
+        expect(() => Rbac.loadPolicy('{')).to.throw(Error, /^RBAC configuration error: invalid JSON policy/);
+        expect(() => Rbac.loadPolicy({ target: { 'credentials:group': { $regex: '(' } }, effect: 'permit' })).to.throw(Error, /^RBAC configuration error: invalid regular expression/);
+        expect(() => Rbac.loadPolicy({ target: { 'credentials:group': { $regex: 'a', flags: 'i', other: true } }, effect: 'permit' })).to.throw(Error, /^RBAC configuration error: invalid policy/);
+        expect(() => Rbac.loadPolicy({ target: { 'credentials:group': { $regex: 1 } }, effect: 'permit' })).to.throw(Error, /^RBAC configuration error: invalid policy/);
+    });
+});
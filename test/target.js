@@ -304,4 +304,338 @@ experiment('Target unit tests', () => {
 
         });
     });
+
+    test('should return a promise without callback', async () => {
+
+        const applies = await Rbac.evaluateTarget(undefined, dataRetriever);
+        expect(applies).to.equal(true);
+
+        await expect(Rbac.evaluateTarget([], dataRetriever)).to.reject();
+    });
+});
+
+experiment('Target unit tests (operators)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+    dataRetriever.register('env', (source, key, context) => {
+
+        return { limit: 10, blacklist: ['192.168.0.2', '192.168.0.3'] }[key];
+    }, { override: true });
+
+    const evaluate = (target, information) => Rbac.evaluateTarget(target, dataRetriever.createChild(information));
+
+    test('should compare with $gt, $gte, $lt and $lte', async () => {
+
+        expect(await evaluate({ 'credentials:age': { $gte: 18 } }, { age: 18 })).to.be.true();
+        expect(await evaluate({ 'credentials:age': { $gt: 18 } }, { age: 18 })).to.be.false();
+        expect(await evaluate({ 'credentials:age': { $gte: 18, $lt: 65 } }, { age: 40 })).to.be.true();
+        expect(await evaluate({ 'credentials:age': { $gte: 18, $lt: 65 } }, { age: 65 })).to.be.false();
+        expect(await evaluate({ 'credentials:age': { $lte: 17 } }, { age: 17 })).to.be.true();
+        expect(await evaluate({ 'credentials:age': { $lt: 18 } }, {})).to.be.false();
+    });
+
+    test('should compare values of different types', async () => {
+
+        expect(await evaluate({ 'credentials:uploads': { $lt: '10' } }, { uploads: '9' })).to.be.true();
+        expect(await evaluate({ 'credentials:uploads': { $lt: 10 } }, { uploads: '9' })).to.be.true();
+        expect(await evaluate({ 'credentials:uploads': { $gte: '18' } }, { uploads: 20 })).to.be.true();
+        expect(await evaluate({ 'credentials:uploads': { $gte: 18 } }, { uploads: '9.5' })).to.be.false();
+        expect(await evaluate({ 'credentials:name': { $gte: 'm' } }, { name: 'peter' })).to.be.true();
+        expect(await evaluate({ 'credentials:name': { $lt: 'm' } }, { name: 'peter' })).to.be.false();
+        expect(await evaluate({ 'credentials:name': { $lt: 10 } }, { name: 'abc' })).to.be.false();
+        expect(await evaluate({ 'credentials:name': { $gte: 10 } }, { name: 'abc' })).to.be.false();
+        expect(await evaluate({ 'credentials:verified': { $gte: 1 } }, { verified: true })).to.be.false();
+        expect(await evaluate({ 'credentials:expires': { $gt: new Date('2022-01-01') } }, { expires: new Date('2022-06-01') })).to.be.true();
+        expect(await evaluate({ 'credentials:expires': { $gt: new Date('2022-01-01') } }, { expires: Date.parse('2022-06-01') })).to.be.false();
+    });
+
+    test('should compare with numeric strings of the environment', async () => {
+
+        const router = new DataRetrievalRouter();
+        router.registerAll({
+            credentials: Rbac.Retrievers.context(),
+            env: Rbac.Retrievers.env({ env: { LIMIT: '10' } })
+        });
+
+        const target = { 'credentials:uploads': { $lt: { field: 'env:LIMIT' } } };
+
+        expect(await Rbac.evaluateTarget(target, router.createChild({ uploads: '9' }))).to.be.true();
+        expect(await Rbac.evaluateTarget(target, router.createChild({ uploads: 10 }))).to.be.false();
+    });
+
+    test('should compare with field values', async () => {
+
+        expect(await evaluate({ 'credentials:uploads': { $lt: { field: 'env:limit' } } }, { uploads: 9 })).to.be.true();
+        expect(await evaluate({ 'credentials:uploads': { $lt: { field: 'env:limit' } } }, { uploads: 10 })).to.be.false();
+    });
+
+    test('should match with $eq and $ne', async () => {
+
+        expect(await evaluate({ 'credentials:clearance': { $eq: 'secret' } }, { clearance: 'secret' })).to.be.true();
+        expect(await evaluate({ 'credentials:clearance': { $ne: 'revoked' } }, { clearance: 'secret' })).to.be.true();
+        expect(await evaluate({ 'credentials:clearance': { $ne: 'revoked' } }, { clearance: 'revoked' })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $ne: 'blacklist' } }, { group: ['writer', 'blacklist'] })).to.be.false();
+    });
+
+    test('should match dates by time', async () => {
+
+        expect(await evaluate({ 'credentials:expires': new Date('2026-12-31') }, { expires: new Date('2026-12-31') })).to.be.true();
+        expect(await evaluate({ 'credentials:expires': new Date('2026-12-31') }, { expires: new Date('2027-01-01') })).to.be.false();
+        expect(await evaluate({ 'credentials:expires': new Date('2026-12-31') }, { expires: '2026-12-31' })).to.be.false();
+        expect(await evaluate({ 'credentials:expires': { $in: [new Date('2026-12-31')] } }, { expires: new Date('2026-12-31') })).to.be.true();
+    });
+
+    test('should match with $in and $nin', async () => {
+
+        expect(await evaluate({ 'credentials:group': { $in: ['writer', /^articles:/] } }, { group: ['reader', 'articles:reader'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $in: ['writer', 'publisher'] } }, { group: ['reader'] })).to.be.false();
+        expect(await evaluate({ 'credentials:ip': { $nin: { field: 'env:blacklist' } } }, { ip: '192.168.0.1' })).to.be.true();
+        expect(await evaluate({ 'credentials:ip': { $nin: { field: 'env:blacklist' } } }, { ip: '192.168.0.3' })).to.be.false();
+    });
+
+    test('should negate with $not', async () => {
+
+        expect(await evaluate({ 'credentials:group': { $not: /^guest/ } }, { group: ['writer'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $not: /^guest/ } }, { group: ['writer', 'guest'] })).to.be.false();
+        expect(await evaluate({ 'credentials:age': { $not: { $lt: 18 } } }, { age: 30 })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $not: ['writer', 'reader'] } }, { group: ['writer'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $not: ['writer', 'reader'] } }, { group: ['writer', 'reader'] })).to.be.false();
+    });
+
+    test('should check existence with $exists', async () => {
+
+        expect(await evaluate({ 'credentials:email': { $exists: true } }, { email: 'francisco@example.com' })).to.be.true();
+        expect(await evaluate({ 'credentials:email': { $exists: true } }, { email: null })).to.be.false();
+        expect(await evaluate({ 'credentials:email': { $exists: false } }, {})).to.be.true();
+    });
+
+    test('should combine operators with other values', async () => {
+
+        expect(await evaluate({ 'credentials:group': ['writer', { $nin: ['blacklist'] }] }, { group: ['writer'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': ['writer', { $nin: ['blacklist'] }] }, { group: ['writer', 'blacklist'] })).to.be.false();
+    });
+
+    test('should have error on unknown operator', async () => {
+
+        await expect(evaluate({ 'credentials:age': { $between: [1, 2] } }, { age: 1 })).to.reject(Error, 'RBAC target error: unknown operator $between');
+    });
+});
+
+experiment('Target unit tests (time operators)', () => {
+
+    let now = null;
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+    dataRetriever.register('time', Rbac.Retrievers.time({ now: () => now }), { override: true });
+
+    const evaluate = (target, date, information) => {
+
+        now = new Date(date);
+        return Rbac.evaluateTarget(target, dataRetriever.createChild(information || {}));
+    };
+
+    const officeHours = { 'time:now': { $time: { from: '08:00', to: '18:00', weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'], timeZone: 'Europe/Lisbon' } } };
+
+    test('should match time of day windows in a time zone', async () => {
+
+        expect(await evaluate(officeHours, '2022-03-28T08:00:00Z')).to.be.true(); // monday 09:00 in Lisbon (summer time)
+        expect(await evaluate(officeHours, '2022-03-28T07:30:00Z')).to.be.true();
+        expect(await evaluate(officeHours, '2022-03-28T06:59:59Z')).to.be.false();
+        expect(await evaluate(officeHours, '2022-03-28T16:59:59Z')).to.be.true();
+        expect(await evaluate(officeHours, '2022-03-28T17:00:00Z')).to.be.false(); // 18:00 in Lisbon
+        expect(await evaluate(officeHours, '2022-01-10T17:30:00Z')).to.be.true(); // winter time
+    });
+
+    test('should match days of the week', async () => {
+
+        expect(await evaluate(officeHours, '2022-03-26T10:00:00Z')).to.be.false(); // saturday
+        expect(await evaluate({ 'time:now': { $time: { weekdays: 'SAT', timeZone: 'UTC' } } }, '2022-03-26T10:00:00Z')).to.be.true();
+        expect(await evaluate({ 'time:now': { $time: { weekdays: [0, 6], timeZone: 'Asia/Tokyo' } } }, '2022-03-27T23:30:00Z')).to.be.false(); // monday in Tokyo
+    });
+
+    test('should match windows crossing midnight', async () => {
+
+        const night = { 'time:now': { $time: { from: '22:00', to: '06:00', timeZone: 'UTC' } } };
+
+        expect(await evaluate(night, '2022-03-28T23:00:00Z')).to.be.true();
+        expect(await evaluate(night, '2022-03-28T05:59:00Z')).to.be.true();
+        expect(await evaluate(night, '2022-03-28T12:00:00Z')).to.be.false();
+        expect(await evaluate({ 'time:now': { $time: { from: '12:00:30', timeZone: 'UTC' } } }, '2022-03-28T12:00:29Z')).to.be.false();
+        expect(await evaluate({ 'time:now': { $time: { to: '24:00', timeZone: 'UTC' } } }, '2022-03-28T23:59:59Z')).to.be.true();
+    });
+
+    test('should match date ranges', async () => {
+
+        const expiry = { 'time:now': { $date: { from: '2027-01-01' } } };
+
+        expect(await evaluate(expiry, '2026-12-31T23:59:59Z')).to.be.false();
+        expect(await evaluate(expiry, '2027-01-01T00:00:00Z')).to.be.true();
+
+        const range = { 'time:now': { $date: { from: new Date('2022-01-01'), to: Date.parse('2023-01-01') } } };
+
+        expect(await evaluate(range, '2022-06-01')).to.be.true();
+        expect(await evaluate(range, '2023-01-01')).to.be.false();
+    });
+
+    test('should match date like values from other sources', async () => {
+
+        expect(await evaluate({ 'credentials:expires': { $date: { to: '2022-01-01' } } }, '2022-06-01', { expires: '2021-12-31' })).to.be.true();
+        expect(await evaluate({ 'credentials:expires': { $date: { to: '2022-01-01' } } }, '2022-06-01', { expires: Date.parse('2022-01-02') })).to.be.false();
+        expect(await evaluate({ 'credentials:expires': { $date: { to: '2022-01-01' } } }, '2022-06-01', { expires: 'never' })).to.be.false();
+        expect(await evaluate({ 'credentials:expires': { $not: { $date: { to: '2022-01-01' } } } }, '2022-06-01', {})).to.be.true();
+    });
+
+    test('should have error on invalid operands', async () => {
+
+        await expect(evaluate({ 'time:now': { $time: { from: '8:00' } } }, '2022-03-28')).to.reject(Error, /^RBAC target error: invalid operand of \$time/);
+        await expect(evaluate({ 'time:now': { $time: { timeZone: 'Europe/Lisbon' } } }, '2022-03-28')).to.reject(Error, /^RBAC target error: invalid operand of \$time/);
+        await expect(evaluate({ 'time:now': { $time: { weekdays: ['someday'] } } }, '2022-03-28')).to.reject(Error, /^RBAC target error: invalid operand of \$time/);
+        await expect(evaluate({ 'time:now': { $time: { from: '08:00', timeZone: 'Nowhere/Invalid' } } }, '2022-03-28')).to.reject(Error, /^RBAC target error: invalid operand of \$time/);
+        await expect(evaluate({ 'time:now': { $date: {} } }, '2022-03-28')).to.reject(Error, /^RBAC target error: invalid operand of \$date/);
+
+        expect(Rbac.validatePolicy({ target: officeHours, effect: 'permit' })).to.equal([]);
+        expect(Rbac.validatePolicy({ target: { 'time:now': { $date: { from: '2022-01-01' } } }, effect: 'permit' })).to.equal([]);
+        expect(Rbac.validatePolicy({ target: { 'time:now': { $time: { from: '25:00' } } }, effect: 'permit' })[0].path).to.equal(['target', 'time:now', '$time', 'from']);
+    });
+});
+
+experiment('Target unit tests (network operators)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('connection', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const evaluate = (target, remoteip) => Rbac.evaluateTarget(target, dataRetriever.createChild({ remoteip }));
+
+    const office = { 'connection:remoteip': { $cidr: ['10.0.0.0/8', '192.168.1.10-192.168.1.20', '172.16.0.1', '2001:db8::/32'] } };
+
+    test('should match IPv4 CIDR blocks, ranges and addresses', async () => {
+
+        expect(await evaluate(office, '10.0.0.0')).to.be.true();
+        expect(await evaluate(office, '10.255.255.255')).to.be.true();
+        expect(await evaluate(office, '11.0.0.0')).to.be.false();
+        expect(await evaluate(office, '192.168.1.10')).to.be.true();
+        expect(await evaluate(office, '192.168.1.20')).to.be.true();
+        expect(await evaluate(office, '192.168.1.21')).to.be.false();
+        expect(await evaluate(office, '172.16.0.1')).to.be.true();
+        expect(await evaluate(office, '172.16.0.2')).to.be.false();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: '192.168.0.128/25' } }, '192.168.0.127')).to.be.false();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: '192.168.0.128/25' } }, '192.168.0.200')).to.be.true();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: '0.0.0.0/0' } }, '8.8.8.8')).to.be.true();
+    });
+
+    test('should match IPv6 CIDR blocks, ranges and addresses', async () => {
+
+        expect(await evaluate(office, '2001:db8::1')).to.be.true();
+        expect(await evaluate(office, '2001:0db8:ffff:ffff:ffff:ffff:ffff:ffff')).to.be.true();
+        expect(await evaluate(office, '2001:db9::')).to.be.false();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: 'fe80::/10' } }, 'fe80::1%eth0')).to.be.true();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: 'fe80::/10' } }, 'fec0::1')).to.be.false();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: '::1' } }, '0:0:0:0:0:0:0:1')).to.be.true();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: '2001:db8::1-2001:db8::ff' } }, '2001:db8::a0')).to.be.true();
+        expect(await evaluate({ 'connection:remoteip': { $cidr: '64:ff9b::/96' } }, '64:ff9b::192.0.2.33')).to.be.true();
+    });
+
+    test('should match IPv4-mapped IPv6 addresses with IPv4 blocks', async () => {
+
+        expect(await evaluate(office, '::ffff:10.1.2.3')).to.be.true();
+        expect(await evaluate(office, '::ffff:11.1.2.3')).to.be.false();
+    });
+
+    test('should not match invalid addresses or other values', async () => {
+
+        expect(await evaluate(office, '10.0.0.256')).to.be.false();
+        expect(await evaluate(office, '10.0.0')).to.be.false();
+        expect(await evaluate(office, '2001:db8::1::1')).to.be.false();
+        expect(await evaluate(office, '2001:db8:1:1:1:1:1:1:1')).to.be.false();
+        expect(await evaluate(office, 'localhost')).to.be.false();
+        expect(await evaluate(office, 10)).to.be.false();
+        expect(await evaluate(office, null)).to.be.false();
+        expect(await evaluate({ 'connection:remoteip': { $not: { $cidr: '10.0.0.0/8' } } }, '192.168.0.1')).to.be.true();
+    });
+
+    test('should have error on invalid blocks', async () => {
+
+        for (const block of ['10.0.0.0/33', '10.0.0.0/a', '10.0.0.9-10.0.0.1', '10.0.0.1-::1', '10.0.0.1-10.0.0.2-10.0.0.3', '10.0.0.0/8/8', 'abc', '', 1]) {
+            await expect(evaluate({ 'connection:remoteip': { $cidr: block } }, '10.0.0.1')).to.reject(Error, /^RBAC target error: invalid operand of \$cidr/);
+        }
+
+        await expect(evaluate({ 'connection:remoteip': { $cidr: [] } }, '10.0.0.1')).to.reject(Error, /^RBAC target error: invalid operand of \$cidr/);
+
+        expect(Rbac.validatePolicy({ target: office, effect: 'permit' })).to.equal([]);
+
+        const errors = Rbac.validatePolicy({ target: { 'connection:remoteip': { $cidr: ['10.0.0.0/8', '10.0.0.0/33'] } }, effect: 'permit' });
+        expect(errors).to.equal([{ path: ['target', 'connection:remoteip', '$cidr', 1], message: '"target.connection:remoteip.$cidr[1]" is not a valid IP address, CIDR block or range' }]);
+    });
+});
+
+experiment('Target unit tests (glob operator)', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const evaluate = (target, information) => Rbac.evaluateTarget(target, dataRetriever.createChild(information));
+
+    test('should match a segment with *', async () => {
+
+        expect(await evaluate({ 'credentials:group': { $glob: 'articles:*' } }, { group: ['articles:admin'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'articles:*' } }, { group: ['articles:'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'articles:*' } }, { group: ['articles:admin:x'] })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $glob: 'articles:*' } }, { group: ['reports:admin'] })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $glob: '*:read' } }, { group: ['articles:read'] })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: '*:read' } }, { group: ['articles/x:read'] })).to.be.false();
+    });
+
+    test('should match any characters with **', async () => {
+
+        expect(await evaluate({ 'credentials:group': { $glob: 'reports/**' } }, { group: 'reports/2022/q1' })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'reports/**' } }, { group: 'reports' })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $glob: '**:admin' } }, { group: 'a:b:admin' })).to.be.true();
+    });
+
+    test('should match a single character with ?', async () => {
+
+        expect(await evaluate({ 'credentials:group': { $glob: 'team-?' } }, { group: 'team-a' })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'team-?' } }, { group: 'team-ab' })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $glob: 'team-?' } }, { group: 'team-:' })).to.be.false();
+    });
+
+    test('should match special characters literally', async () => {
+
+        expect(await evaluate({ 'credentials:group': { $glob: 'a.b+(c)' } }, { group: 'a.b+(c)' })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'a.b' } }, { group: 'axb' })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $glob: 'star\\*' } }, { group: 'star*' })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'star\\*' } }, { group: 'starx' })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $glob: 'back\\\\slash' } }, { group: 'back\\slash' })).to.be.true();
+        expect(await evaluate({ 'credentials:group': { $glob: 'end\\' } }, { group: 'end\\' })).to.be.true();
+    });
+
+    test('should match any of the patterns', async () => {
+
+        const target = { 'credentials:group': { $glob: ['articles:*', 'reports/**'] } };
+
+        expect(await evaluate(target, { group: ['other', 'reports/q1'] })).to.be.true();
+        expect(await evaluate(target, { group: ['other', 1, null] })).to.be.false();
+        expect(await evaluate({ 'credentials:group': { $not: { $glob: 'guest:*' } } }, { group: ['articles:admin'] })).to.be.true();
+    });
+
+    test('should validate glob patterns', async () => {
+
+        expect(Rbac.validatePolicy({ target: { 'credentials:group': { $glob: ['articles:*'] } }, effect: 'permit' })).to.equal([]);
+        expect(Rbac.validatePolicy({ target: { 'credentials:group': { $glob: [] } }, effect: 'permit' })).to.have.length(1);
+        await expect(evaluate({ 'credentials:group': { $glob: 1 } }, { group: 'a' })).to.reject(Error, /^RBAC target error: invalid operand of \$glob/);
+    });
 });
@@ -0,0 +1,148 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Evaluation trace unit tests', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const policySet = {
+        id: 'articles',
+        target: [{ 'credentials:group': 'writer' }, { 'credentials:group': 'publisher' }], // writer OR publisher
+        apply: 'permit-overrides',
+        policies: [
+            {
+                id: 'writers',
+                target: { 'credentials:group': 'writer', 'credentials:premium': true },
+                apply: 'deny-overrides',
+                rules: [
+                    {
+                        id: 'blocked',
+                        target: { 'credentials:blocked': true },
+                        effect: 'deny'
+                    },
+                    {
+                        effect: 'permit'
+                    }
+                ]
+            }
+        ]
+    };
+
+    test('should return the decision without trace by default', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['writer'], premium: true, blocked: true }), {});
+        expect(result).to.equal(Rbac.DENY);
+    });
+
+    test('should explain a denied decision', async () => {
+
+        const information = {
+            group: ['writer'],
+            premium: true,
+            blocked: true
+        };
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild(information), { trace: true });
+        expect(result.decision).to.equal(Rbac.DENY);
+
+        const trace = result.trace;
+        expect(trace.type).to.equal('policySet');
+        expect(trace.id).to.equal('articles');
+        expect(trace.algorithm).to.equal('permit-overrides');
+        expect(trace.decision).to.equal(Rbac.DENY);
+        expect(trace.target.applies).to.be.true();
+        expect(trace.target.matched).to.equal([0]);
+        expect(trace.target.elements[0].keys['credentials:group']).to.equal({ expected: 'writer', value: ['writer'], applies: true });
+        expect(trace.target.elements[1].applies).to.be.false();
+        expect(trace.children).to.have.length(1);
+
+        const policy = trace.children[0];
+        expect(policy.type).to.equal('policy');
+        expect(policy.id).to.equal('writers');
+        expect(policy.index).to.equal(0);
+        expect(policy.algorithm).to.equal('deny-overrides');
+        expect(policy.decision).to.equal(Rbac.DENY);
+        expect(policy.children).to.have.length(2);
+
+        const blocked = policy.children.find((child) => child.id === 'blocked');
+        expect(blocked.type).to.equal('rule');
+        expect(blocked.effect).to.equal('deny');
+        expect(blocked.decision).to.equal(Rbac.DENY);
+        expect(blocked.target.elements[0].keys['credentials:blocked']).to.equal({ expected: true, value: true, applies: true });
+
+        const fallback = policy.children.find((child) => child.index === 1);
+        expect(fallback.target).to.equal({ applies: true });
+        expect(fallback.decision).to.equal(Rbac.PERMIT);
+    });
+
+    test('should explain a not applicable target', async () => {
+
+        const result = await Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['reader'] }), { trace: true });
+        expect(result.decision).to.equal(Rbac.UNDETERMINED);
+        expect(result.trace.target.applies).to.be.false();
+        expect(result.trace.target.matched).to.equal([]);
+        expect(result.trace.children).to.equal([]);
+    });
+
+    test('should trace field values', async () => {
+
+        const rule = {
+            target: { 'credentials:username': { field: 'credentials:owner' } },
+            effect: 'permit'
+        };
+
+        const result = await Rbac.evaluatePolicy(rule, dataRetriever.createChild({ username: 'francisco', owner: 'francisco' }), { trace: true });
+        expect(result.decision).to.equal(Rbac.PERMIT);
+        expect(result.trace.type).to.equal('rule');
+        expect(result.trace.target.elements[0].keys['credentials:username']).to.equal({ expected: 'francisco', value: 'francisco', applies: true });
+    });
+
+    test('should trace with callback', () => {
+
+        return new Promise((resolve) => {
+
+            Rbac.evaluatePolicy(policySet, dataRetriever.createChild({ group: ['publisher'] }), { trace: true }, (err, result) => {
+
+                expect(err).to.not.exist();
+                expect(result.decision).to.equal(Rbac.DENY); // permit-overrides denies when nothing permits
+                expect(result.trace.target.matched).to.equal([1]);
+                expect(result.trace.children[0].target.applies).to.be.false();
+                expect(result.trace.children[0].decision).to.equal(Rbac.UNDETERMINED);
+                resolve();
+            });
+        });
+    });
+
+    test('should have error on invalid options', async () => {
+
+        const information = dataRetriever.createChild({ group: ['publisher'] });
+
+        await expect(Rbac.evaluatePolicy(policySet, information, { obligation: true })).to.reject(Error, /"obligation" is not allowed/);
+        await expect(Rbac.evaluatePolicy(policySet, information, { trace: 'yes' })).to.reject(Error, /"trace" must be a boolean/);
+
+        await new Promise((resolve) => {
+
+            Rbac.evaluatePolicy(policySet, information, { obligation: true }, (err, result) => {
+
+                expect(err).to.be.an.error(/"obligation" is not allowed/);
+                expect(result).to.not.exist();
+                resolve();
+            });
+        });
+    });
+});
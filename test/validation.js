@@ -0,0 +1,222 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+
+const lab = exports.lab = Lab.script();
+const experiment = lab.experiment;
+const test = lab.test;
+
+const expect = Code.expect;
+
+const Rbac = require('../');
+const DataRetrievalRouter = require('../lib/DataRetrievalRouter');
+
+experiment('Policy validation unit tests', () => {
+
+    const policySet = {
+        id: 'articles',
+        target: [{ 'credentials:group': 'writer' }, { 'credentials:group': /^articles:/ }],
+        apply: 'permit-overrides',
+        policies: [
+            {
+                target: { 'credentials:premium': true, 'credentials:age': { $gte: 18 } },
+                apply: 'deny-overrides',
+                obligations: ['audit'],
+                rules: [
+                    {
+                        target: { 'credentials:username': { field: 'resource:owner' } },
+                        effect: 'deny'
+                    },
+                    {
+                        effect: 'permit'
+                    }
+                ]
+            },
+            {
+                apply: (items, information, fn, callback) => callback(null, Rbac.DENY),
+                rules: []
+            }
+        ]
+    };
+
+    test('should have no errors on a valid policy', () => {
+
+        expect(Rbac.validatePolicy(policySet)).to.equal([]);
+        expect(Rbac.validatePolicy({ effect: 'permit' })).to.equal([]);
+    });
+
+    test('should report every error with its path', () => {
+
+        const invalidPolicySet = {
+            apply: 'some-strange-value',
+            policies: [
+                {
+                    target: [],
+                    rules: [
+                        {
+                            target: { 'credentials:group': 'writer' }
+                        },
+                        {
+                            effect: 'allow'
+                        }
+                    ]
+                },
+                {
+                    rules: [
+                        {
+                            target: { 'credentials:age': { $between: [1, 2] }, 'credentials:group': { field: 1 } },
+                            effect: 'permit'
+                        }
+                    ]
+                },
+                {
+                    target: { 'credentials:group': 'writer' }
+                }
+            ]
+        };
+
+        const errors = Rbac.validatePolicy(invalidPolicySet);
+        expect(errors.map((error) => error.path)).to.equal([
+            ['apply'],
+            ['policies', 0, 'target'],
+            ['policies', 0, 'rules', 0, 'effect'],
+            ['policies', 0, 'rules', 1, 'effect'],
+            ['policies', 1, 'rules', 0, 'target', 'credentials:age', '$between'],
+            ['policies', 1, 'rules', 0, 'target', 'credentials:group', 'field'],
+            ['policies', 2]
+        ]);
+        expect(errors[4].message).to.equal('"policies[1].rules[0].target.credentials:age.$between" is not a valid operator');
+    });
+
+    test('should have error on missing policy', () => {
+
+        expect(Rbac.validatePolicy(null)).to.have.length(1);
+        expect(Rbac.validatePolicy(undefined)).to.have.length(1);
+    });
+
+    test('should have error on rule with combinatory algorithm', () => {
+
+        const errors = Rbac.validatePolicy({ apply: 'deny-overrides', effect: 'permit' });
+        expect(errors).to.equal([{ path: [], message: '"effect" conflict with forbidden peer "apply"' }]);
+    });
+
+    test('should report the keys of sources without data retriever', () => {
+
+        const dataRetriever = new DataRetrievalRouter();
+        dataRetriever.register('credentials', (source, key, context) => context[key]);
+
+        expect(Rbac.validatePolicy(policySet, { dataRetriever })).to.equal([{
+            path: ['policies', 0, 'rules', 0, 'target', 'credentials:username', 'field'],
+            message: '"policies[0].rules[0].target.credentials:username.field" has an unknown data source resource'
+        }]);
+
+        const policy = {
+            target: [{ group: 'writer' }, { 'credentails:group': { $in: ['admin', { field: 'env:admin' }] } }],
+            rules: [{ target: { 'credentials:': true }, effect: 'permit' }]
+        };
+
+        expect(Rbac.validatePolicy(policy, { dataRetriever })).to.equal([
+            {
+                path: ['target', 1, 'credentails:group'],
+                message: '"target[1].credentails:group" has an unknown data source credentails'
+            },
+            {
+                path: ['target', 1, 'credentails:group', '$in', 1, 'field'],
+                message: '"target[1].credentails:group.$in[1].field" has an unknown data source env'
+            },
+            {
+                path: ['rules', 0, 'target', 'credentials:'],
+                message: '"rules[0].target.credentials:" is not a valid key'
+            }
+        ]);
+
+        dataRetriever.register('resource', (source, key, context) => null);
+        expect(Rbac.validatePolicy(policySet, { dataRetriever })).to.equal([]);
+        expect(() => Rbac.validatePolicy(policySet, { dataRetriever: {} })).to.throw();
+    });
+});
+
+experiment('Policy compilation unit tests', () => {
+
+    const dataRetriever = new DataRetrievalRouter();
+    dataRetriever.register('credentials', (source, key, context) => {
+
+        return context[key];
+    }, { override: true });
+
+    const policy = {
+        target: { 'credentials:group': /^articles:/ },
+        apply: 'deny-overrides',
+        rules: [
+            {
+                target: { 'credentials:blocked': true },
+                effect: 'deny'
+            },
+            {
+                effect: 'permit'
+            }
+        ]
+    };
+
+    test('should compile a policy to a frozen copy', () => {
+
+        const compiled = Rbac.compilePolicy(policy);
+
+        expect(compiled).to.not.shallow.equal(policy);
+        expect(Object.isFrozen(compiled)).to.be.true();
+        expect(Object.isFrozen(compiled.rules)).to.be.true();
+        expect(Object.isFrozen(compiled.rules[0])).to.be.true();
+        expect(Object.isFrozen(compiled.rules[0].target)).to.be.true();
+        expect(compiled.apply).to.be.a.function();
+        expect(compiled.rules[0].apply).to.not.exist();
+        expect(policy.apply).to.equal('deny-overrides');
+        expect(Rbac.compilePolicy({ rules: [] }).apply).to.be.a.function();
+    });
+
+    test('should evaluate a compiled policy repeatedly', async () => {
+
+        const compiled = Rbac.compilePolicy(policy);
+
+        for (let i = 0; i < 3; ++i) {
+            expect(await Rbac.evaluatePolicy(compiled, dataRetriever.createChild({ group: ['articles:writer'], blocked: false }))).to.equal(Rbac.PERMIT);
+            expect(await Rbac.evaluatePolicy(compiled, dataRetriever.createChild({ group: ['articles:writer'], blocked: true }))).to.equal(Rbac.DENY);
+        }
+
+        const result = await Rbac.evaluatePolicy(compiled, dataRetriever.createChild({ group: ['articles:writer'], blocked: true }), { trace: true });
+        expect(result.trace.algorithm).to.equal('deny-overrides');
+    });
+
+    test('should compile a rule', async () => {
+
+        const rule = { target: { 'credentials:blocked': true }, effect: 'deny', obligations: ['audit'] };
+        const compiled = Rbac.compilePolicy(rule);
+
+        expect(compiled).to.equal(rule);
+        expect(compiled.apply).to.not.exist();
+        expect(Rbac.validatePolicy(compiled)).to.equal([]);
+        expect(await Rbac.evaluatePolicy(compiled, dataRetriever.createChild({ blocked: true }))).to.equal(Rbac.DENY);
+    });
+
+    test('should throw with all the errors on invalid policy', () => {
+
+        const invalidPolicy = {
+            rules: [
+                { effect: 'allow' },
+                { target: [] }
+            ]
+        };
+
+        const err = expect(() => Rbac.compilePolicy(invalidPolicy)).to.throw(Error, /^RBAC configuration error: invalid policy/);
+        expect(err.data).to.have.length(3);
+    });
+
+    test('should check the sources when compiling or loading policies', () => {
+
+        const policy = { target: { 'credentails:group': { $regex: '^articles:' } }, effect: 'permit' };
+
+        expect(() => Rbac.loadPolicy(policy)).to.not.throw();
+        expect(() => Rbac.loadPolicy(policy, { dataRetriever })).to.throw(Error, 'RBAC configuration error: invalid policy. "target.credentails:group" has an unknown data source credentails');
+        expect(() => Rbac.compilePolicy({ target: { 'credentails:group': 'writer' }, effect: 'permit' }, { dataRetriever })).to.throw(Error, /unknown data source credentails/);
+    });
+});